@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const path = require('path');
+const J5sExecutor = require('../index');
+
+const USAGE = `Usage: j5s-render [--json] <executor options file> <build config file>
+
+Print the Jenkins job XML of the build as the executor would create it, without touching Jenkins.
+The files are JSON, or JavaScript modules exporting the object.
+
+  --json    Print the job name, XML, build script, cleanup script and parameters as JSON
+`;
+
+/**
+ * Load an options or config file
+ * @method load
+ * @param  {String}   file          Path to a JSON file or JavaScript module
+ * @return {Object}
+ */
+function load(file) {
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    return require(path.resolve(file));
+}
+
+/**
+ * Render the job of the build given on the command line
+ * @method main
+ * @param  {Array}    args          Command line arguments
+ * @return {Promise}                Resolves to the output
+ */
+function main(args) {
+    const json = args.indexOf('--json') !== -1;
+    const files = args.filter(arg => arg !== '--json');
+
+    if (files.length !== 2) {
+        return Promise.reject(new Error(USAGE));
+    }
+
+    return Promise.resolve()
+        .then(() => new J5sExecutor(load(files[0])).render(load(files[1])))
+        .then(rendered => (json ? `${JSON.stringify(rendered, null, 2)}\n` : rendered.xml));
+}
+
+main(process.argv.slice(2)).then((output) => {
+    process.stdout.write(output);
+}, (err) => {
+    process.stderr.write(`${err.message}\n`);
+    process.exitCode = 1;
+});
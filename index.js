@@ -1,128 +1,1642 @@
 'use strict';
 
 const Executor = require('screwdriver-executor-base');
+const EventEmitter = require('events');
 const path = require('path');
+const crypto = require('crypto');
+const stream = require('stream');
 const jenkins = require('jenkins');
+const request = require('request');
 const fs = require('fs');
 const xmlescape = require('xml-escape');
 const shellescape = require('shell-escape');
 const _ = require('lodash');
 const Breaker = require('circuit-fuses');
 
+const NODE_LABEL_ANNOTATION = 'screwdriver.cd/j5sNodeLabel';
+const RESOURCES_ANNOTATION = 'screwdriver.cd/j5sResources';
+const TIMEOUT_ANNOTATION = 'screwdriver.cd/timeout';
+const ENV_ANNOTATION = 'screwdriver.cd/j5sEnv';
+const VOLUMES_ANNOTATION = 'screwdriver.cd/j5sVolumes';
+const RUN_OPTIONS_ANNOTATION = 'screwdriver.cd/j5sRunOptions';
+const SERVICES_ANNOTATION = 'screwdriver.cd/j5sServices';
+// Run options the script sets itself, or that have their own executor option
+const RESERVED_RUN_OPTIONS = [
+    '--name', '--entrypoint', '--volumes-from', '--rm', '--detach',
+    '--env', '--env-file', '--volume', '--mount', '--label'
+];
+// Run options giving the build container access to the host, only allowed when enabled
+const UNSAFE_RUN_OPTIONS = [
+    '--privileged', '--cap-add', '--security-opt', '--device',
+    '--pid', '--ipc', '--userns', '--uts', '--cgroupns'
+];
+// Run options taking a namespace, whose host, container:<name> and ns:<path> values join one
+// of the host or of another container, e.g. of another build
+const NAMESPACE_RUN_OPTIONS = ['--network', '--pid', '--ipc', '--uts'];
+const SHARED_NAMESPACE = /^(host$|container:|ns:)/;
+// Short names docker also accepts for run options
+const RUN_OPTION_ALIASES = { '--net': '--network' };
+// Commands retried on transient errors with options.retry instead of the circuit breaker retries,
+// job.build by _jenkinsJobBuild
+const RETRIED_COMMANDS = [
+    'job.exists', 'job.create', 'job.config', 'job.build',
+    'credentials.create', 'credentials.update'
+];
+// Answers of a Jenkins restarting, or of the proxy in front of it
+const TRANSIENT_STATUS_CODES = [502, 503, 504];
+const TRANSIENT_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+// Metrics of the executor in the Prometheus format: [type, help]
+const METRICS = {
+    j5s_jenkins_requests_total: ['counter', 'Jenkins requests by operation and result'],
+    j5s_jenkins_request_duration_seconds: ['histogram', 'Duration of the Jenkins requests'],
+    j5s_circuit_breaker_open: ['gauge', 'Whether the circuit breaker of the controller is open'],
+    j5s_circuit_breaker_trips_total:
+        ['counter', 'Times the circuit breaker of the controller opened'],
+    j5s_build_events_total: ['counter', 'Lifecycle events of the builds'],
+    j5s_build_queue_duration_seconds: ['histogram', 'Time builds waited in the Jenkins queue'],
+    j5s_build_stop_duration_seconds: ['histogram', 'Time stopped builds took to finish']
+};
+// Upper bounds (seconds) of the histogram buckets
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900];
+// Label of the dependency cache volumes, valued with the key of their pipeline
+const CACHE_LABEL = 'sdcache';
+// Printed to the console, or written to the build description, when the build times out
+const TIMEOUT_MARKER = 'SD_BUILD_TIMEOUT';
+// Printed to the console with the category when the build failed outside of its steps
+const FAILURE_MARKER = 'SD_BUILD_FAILURE';
+// Exit codes of the build script per failure category, the build steps failing is BUILD
+const FAILURE_EXIT_CODES = {
+    TIMEOUT: 124,
+    IMAGE_PULL: 91,
+    LAUNCHER: 92,
+    OOM_KILLED: 93,
+    SERVICE: 94
+};
+// Minutes Jenkins waits past the build timeout before aborting a build the watchdog did not stop
+const JENKINS_TIMEOUT_GRACE = 5;
+// Docker config of the build holding the registry logins, next to the build in the workspace
+const DOCKER_CONFIG_DIR = '$WORKSPACE/.sd-docker-config';
+// Signals sent to a build until it stops, term and kill only exist for Pipeline builds
+const STOP_SIGNALS = ['stop', 'term', 'kill'];
+const PIPELINE_JOB_CLASS = 'org.jenkinsci.plugins.workflow.job.WorkflowJob';
+const PULL_POLICIES = ['always', 'if-not-present', 'never'];
+// Failure categories of builds that stopped before the launcher could log to the store
+const PRE_LAUNCHER_FAILURES = ['IMAGE_PULL', 'LAUNCHER', 'SERVICE'];
+// Printed at the end of a console stream that stopped because Jenkins could not be read
+const LOG_STREAM_ERROR_MARKER = 'SD_LOG_STREAM_ERROR';
+// Step the Jenkins console of such a build is uploaded to the store as
+const INFRASTRUCTURE_STEP = 'infrastructure';
+const RUNTIMES = ['docker', 'podman'];
+const JOB_TEMPLATES = {
+    freestyle: './config/job.xml',
+    pipeline: './config/pipeline-job.xml'
+};
+// Plugins each job template needs, by short name
+const REQUIRED_PLUGINS = {
+    freestyle: ['postbuild-task', 'build-timeout'],
+    pipeline: ['workflow-job', 'workflow-cps', 'workflow-durable-task-step', 'workflow-basic-steps']
+};
+// Plugins binding the build token and registry logins from Jenkins credentials
+const CREDENTIALS_PLUGINS = ['credentials-binding', 'plain-credentials'];
+// Jenkins credentials store the build token is saved to
+const CREDENTIALS_PATH = '/credentials/store/system/domain/_';
+const STRING_CREDENTIALS_CLASS =
+    'org.jenkinsci.plugins.plaincredentials.impl.StringCredentialsImpl';
+const USERNAME_PASSWORD_CREDENTIALS_CLASS =
+    'com.cloudbees.plugins.credentials.impl.UsernamePasswordCredentialsImpl';
+
+/**
+ * Render a string as a Groovy single-quoted string literal, which is never interpolated
+ * @method groovyString
+ * @param  {String}   value         String to render
+ * @return {String}                 Groovy string literal
+ */
+function groovyString(value) {
+    const escaped = String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, "\\'")
+        .replace(/\r/g, '\\r')
+        .replace(/\n/g, '\\n');
+
+    return `'${escaped}'`;
+}
+
+/**
+ * Bytes of a docker memory size, e.g. 512m or 4g
+ * @method memoryBytes
+ * @param  {String}   size          Memory size, -1 for unlimited
+ * @return {Number}                 Bytes, NaN when docker would not read it either
+ */
+function memoryBytes(size) {
+    const match = /^(-1|\d+(?:\.\d+)?)([bkmg]?)$/i.exec(String(size));
+
+    if (!match) {
+        return NaN;
+    }
+
+    if (match[1] === '-1') {
+        return Infinity;
+    }
+
+    return Number(match[1]) * (1024 ** 'bkmg'.indexOf(match[2].toLowerCase() || 'b'));
+}
+
+/**
+ * Name of a run option, with the aliases docker accepts resolved
+ * @method runOptionName
+ * @param  {String}   option        Run option, e.g. --net=ci
+ * @return {String}                 Name of the option, e.g. --network
+ */
+function runOptionName(option) {
+    const name = String(option).split('=')[0];
+
+    return RUN_OPTION_ALIASES[name] || name;
+}
+
+/**
+ * Check an extra option of the build container run
+ * @method checkRunOption
+ * @param  {String}   option        Run option, e.g. --network=ci
+ * @param  {Array}    unsafeAllowed Unsafe run options the operator enabled, by name or with
+ *                                  the value, e.g. --network=host
+ * @return {String}                 Name of the option, e.g. --network
+ */
+function checkRunOption(option, unsafeAllowed) {
+    const written = String(option).split('=')[0];
+    const name = runOptionName(option);
+    const value = String(option).slice(written.length + 1);
+    const enabled = unsafeAllowed.indexOf(name) !== -1 ||
+        unsafeAllowed.indexOf(`${name}=${value}`) !== -1;
+
+    if (!/^--[a-z][a-z0-9-]*$/.test(written)) {
+        throw new Error(`Run option "${option}" must be written as --name or --name=value`);
+    }
+
+    if (RESERVED_RUN_OPTIONS.indexOf(name) !== -1) {
+        throw new Error(`Run option "${name}" is set by the executor`);
+    }
+
+    if (UNSAFE_RUN_OPTIONS.indexOf(name) !== -1 && !enabled) {
+        throw new Error(`Run option "${name}" is not enabled`);
+    }
+
+    // Enabling the option does not enable sharing a namespace, that needs the value listed
+    if (NAMESPACE_RUN_OPTIONS.indexOf(name) !== -1 && SHARED_NAMESPACE.test(value) &&
+        unsafeAllowed.indexOf(`${name}=${value}`) === -1) {
+        throw new Error(`Run option "${name}=${value}" is not enabled`);
+    }
+
+    return name;
+}
+
+/**
+ * Join the parts of a shell command, skipping the empty ones
+ * @method joinCommand
+ * @param  {Array}    parts         Shell escaped parts, e.g. ['docker run', '$limits']
+ * @return {String}
+ */
+function joinCommand(parts) {
+    return parts.filter(part => part).join(' ');
+}
+
+/**
+ * Replace the secrets in the text with ***
+ * @method redact
+ * @param  {String}   text          Text to redact
+ * @param  {Array}    secrets       Strings to redact
+ * @return {String}
+ */
+function redact(text, secrets) {
+    return secrets.reduce((redacted, secret) => redacted.split(secret).join('***'), text);
+}
+
+/**
+ * Replace the secrets in the error message, so that logging the error does not leak them
+ * @method redactError
+ * @param  {Error}    err           Error from the jenkins client, or null
+ * @param  {Array}    secrets       Strings to redact
+ * @return {Error}                  The same error
+ */
+function redactError(err, secrets) {
+    if (err && typeof err.message === 'string') {
+        err.message = redact(err.message, secrets);
+    }
+
+    return err;
+}
+
+/**
+ * Whether the jenkins client error may go away when the request is sent again
+ * @method isTransientError
+ * @param  {Error}    err           Error from the jenkins client
+ * @return {Boolean}
+ */
+function isTransientError(err) {
+    return TRANSIENT_STATUS_CODES.indexOf(err.statusCode) !== -1 ||
+        TRANSIENT_ERROR_CODES.indexOf(err.code) !== -1 ||
+        !!err.isTimeout ||
+        // The breaker gave up waiting on a slow or restarting Jenkins
+        err.message === 'CircuitBreaker timeout';
+}
+
+/**
+ * Whether the circuit breaker of the controller is open. circuit-fuses only tells whether it
+ * is closed, which a half-open breaker is not either
+ * @method isFuseOpen
+ * @param  {Object}   controller    Jenkins controller
+ * @return {Boolean}
+ */
+function isFuseOpen(controller) {
+    return controller.breaker.breaker.isOpen();
+}
+
+/**
+ * Client middleware accepting the redirect Jenkins answers a posted action with
+ * @method acceptRedirect
+ * @param  {Object}   ctx           Request context
+ * @param  {Function} next          fn(err) to continue with
+ */
+function acceptRedirect(ctx, next) {
+    if (ctx.res && ctx.res.statusCode === 302) {
+        return next(false);
+    }
+
+    return next(ctx.err || false);
+}
+
+/**
+ * Add a build action the jenkins client does not have, e.g. term and kill
+ * @method addBuildAction
+ * @param  {Object}   jenkinsClient Jenkins client
+ * @param  {String}   action        Action posted to /job/<name>/<number>/<action>
+ */
+function addBuildAction(jenkinsClient, action) {
+    jenkinsClient.build[action] = (opts, callback) => jenkinsClient._post({
+        name: `build.${action}`,
+        path: '/job/{name}/{number}/{action}',
+        params: { name: opts.name, number: opts.number, action }
+    }, acceptRedirect, callback);
+}
+
+/**
+ * XML of a secret text, or a username with password credential
+ * @method credentialsXml
+ * @param  {Object}   opts          { id, description, secret } or { id, description, username, password }
+ * @return {Buffer}
+ */
+function credentialsXml(opts) {
+    let credentialsClass;
+    let secrets;
+
+    if (opts.username === undefined) {
+        credentialsClass = STRING_CREDENTIALS_CLASS;
+        secrets = [`<secret>${xmlescape(opts.secret)}</secret>`];
+    } else {
+        credentialsClass = USERNAME_PASSWORD_CREDENTIALS_CLASS;
+        secrets = [
+            `<username>${xmlescape(opts.username)}</username>`,
+            `<password>${xmlescape(opts.password)}</password>`
+        ];
+    }
+
+    return Buffer.from([
+        `<${credentialsClass}>`,
+        '<scope>GLOBAL</scope>',
+        `<id>${xmlescape(opts.id)}</id>`,
+        `<description>${xmlescape(opts.description || '')}</description>`
+    ].concat(secrets, [`</${credentialsClass}>`]).join(''));
+}
+
+/**
+ * Add a credentials module to the jenkins client, to create, update and destroy secret text
+ * and username with password credentials
+ * @method addCredentials
+ * @param  {Object}   jenkinsClient Jenkins client
+ */
+function addCredentials(jenkinsClient) {
+    jenkinsClient.credentials = {
+        create: (opts, callback) => jenkinsClient._post({
+            name: 'credentials.create',
+            path: `${CREDENTIALS_PATH}/createCredentials`,
+            headers: { 'content-type': 'application/xml; charset=utf-8' },
+            body: credentialsXml(opts)
+        }, acceptRedirect, callback),
+        update: (opts, callback) => jenkinsClient._post({
+            name: 'credentials.update',
+            path: `${CREDENTIALS_PATH}/credential/{id}/config.xml`,
+            params: { id: opts.id },
+            headers: { 'content-type': 'application/xml; charset=utf-8' },
+            body: credentialsXml(opts)
+        }, acceptRedirect, callback),
+        destroy: (opts, callback) => jenkinsClient._post({
+            name: 'credentials.destroy',
+            path: `${CREDENTIALS_PATH}/credential/{id}/doDelete`,
+            params: { id: opts.id }
+        }, (ctx, next) => {
+            // Already removed, e.g. by an earlier stop
+            if (ctx.res && ctx.res.statusCode === 404) {
+                return next(false);
+            }
+
+            return acceptRedirect(ctx, next);
+        }, callback)
+    };
+}
+
+/**
+ * Add a system module to the jenkins client, to read the version and installed plugins
+ * @method addSystem
+ * @param  {Object}   jenkinsClient Jenkins client
+ */
+function addSystem(jenkinsClient) {
+    jenkinsClient.system = {
+        // Jenkins only tells its version in a header
+        version: callback => jenkinsClient._get({
+            name: 'system.version',
+            path: '/api/json',
+            query: { tree: 'mode' }
+        }, (ctx, next) => {
+            if (ctx.err) {
+                return next(ctx.err);
+            }
+
+            return next(false, null, ctx.res.headers['x-jenkins'] || null);
+        }, callback),
+        plugins: callback => jenkinsClient._get({
+            name: 'system.plugins',
+            path: '/pluginManager/api/json',
+            query: { tree: 'plugins[shortName,version,active]' }
+        }, (ctx, next) => {
+            if (ctx.err) {
+                return next(ctx.err);
+            }
+
+            return next(false, null, ctx.res.body.plugins || []);
+        }, callback)
+    };
+}
+
+class ExecutorError extends Error {
+    /**
+     * Error of the executor, with the Jenkins request and the build it failed for
+     * @method constructor
+     * @param  {String}   message       Error message
+     * @param  {Object}   [context]     { statusCode, module, action, jobName, buildId, cause }
+     */
+    constructor(message, context) {
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, {
+            statusCode: null,
+            module: null,
+            action: null,
+            jobName: null,
+            buildId: null,
+            cause: null
+        }, context);
+    }
+}
+
+// Jenkins has the job of the build, but has not started the build yet
+class BuildNotStartedError extends ExecutorError {}
+// Jenkins answered with an error
+class JenkinsError extends ExecutorError {}
+// Jenkins refused the credentials of the executor
+class JenkinsAuthError extends JenkinsError {}
+// The job, build or queue item is not on Jenkins
+class JenkinsNotFoundError extends JenkinsError {}
+// Jenkins is restarting, too slow to answer, or has no executors for the build
+class JenkinsUnavailableError extends JenkinsError {}
+// Too many requests to Jenkins failed, so the circuit breaker does not send more for a while
+class CircuitOpenError extends JenkinsError {}
+
+/**
+ * Typed executor error for an error of a Jenkins request. Other errors, e.g. a build config
+ * the executor rejects, are returned as they are
+ * @method toExecutorError
+ * @param  {Error}    err           Error of the request, from the jenkins client or breaker
+ * @param  {Object}   context       { jobName, buildId } of the build
+ * @return {Error}
+ */
+function toExecutorError(err, context) {
+    if (err instanceof ExecutorError) {
+        // Fill in the build, keeping what the error knew already
+        _.forEach(context, (value, key) => {
+            err[key] = err[key] === null ? value : err[key];
+        });
+
+        return err;
+    }
+
+    const details = Object.assign({
+        statusCode: err.statusCode || null,
+        module: err.module || null,
+        action: err.action || null,
+        cause: err
+    }, context);
+
+    if (err.message === 'CircuitBreaker open') {
+        return new CircuitOpenError(err.message, details);
+    }
+
+    if (err.message === 'CircuitBreaker timeout') {
+        return new JenkinsUnavailableError(err.message, details);
+    }
+
+    // Not a Jenkins request
+    if (!err.module) {
+        return err;
+    }
+
+    if (details.statusCode === 401 || details.statusCode === 403) {
+        return new JenkinsAuthError(err.message, details);
+    }
+
+    if (details.statusCode === 404) {
+        return new JenkinsNotFoundError(err.message, details);
+    }
+
+    if (isTransientError(err)) {
+        return new JenkinsUnavailableError(err.message, details);
+    }
+
+    return new JenkinsError(err.message, details);
+}
+
+/**
+ * Line of a metric in the Prometheus text format
+ * @method metricLine
+ * @param  {String}   name          Metric name
+ * @param  {Object}   labels        Label values, e.g. { host: 'jenkins' }
+ * @param  {Number}   value
+ * @return {String}                 e.g. j5s_jenkins_requests_total{host="jenkins"} 3
+ */
+function metricLine(name, labels, value) {
+    const text = Object.keys(labels).map(key =>
+        `${key}="${String(labels[key]).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n')}"`);
+
+    return `${name}${text.length ? `{${text.join(',')}}` : ''} ${value}`;
+}
+
+class Metrics {
+    /**
+     * Counters and histograms of the executor, kept in memory
+     * @method constructor
+     */
+    constructor() {
+        this.values = new Map();
+    }
+
+    /**
+     * Values of the metric with the labels
+     * @method _series
+     * @param  {String}   name          Metric name
+     * @param  {Object}   labels        Label values, e.g. { host: 'jenkins' }
+     * @return {Object}                 { labels, value } or { labels, buckets, sum, count }
+     */
+    _series(name, labels) {
+        const key = `${name}${JSON.stringify(labels)}`;
+
+        if (!this.values.has(key)) {
+            this.values.set(key, METRICS[name][0] === 'histogram' ?
+                { name, labels, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 } :
+                { name, labels, value: 0 });
+        }
+
+        return this.values.get(key);
+    }
+
+    /**
+     * Add one to the counter
+     * @method increment
+     * @param  {String}   name          Metric name
+     * @param  {Object}   labels        Label values
+     */
+    increment(name, labels) {
+        this._series(name, labels).value += 1;
+    }
+
+    /**
+     * Record a duration in the histogram
+     * @method observe
+     * @param  {String}   name          Metric name
+     * @param  {Object}   labels        Label values
+     * @param  {Number}   seconds       Duration
+     */
+    observe(name, labels, seconds) {
+        const series = this._series(name, labels);
+
+        DURATION_BUCKETS.forEach((bound, index) => {
+            if (seconds <= bound) {
+                series.buckets[index] += 1;
+            }
+        });
+        series.sum += seconds;
+        series.count += 1;
+    }
+
+    /**
+     * Metrics in the Prometheus text format
+     * @method render
+     * @param  {Array}    gauges        Current gauge values: [{ name, labels, value }]
+     * @return {String}
+     */
+    render(gauges) {
+        const series = _.groupBy(Array.from(this.values.values()).concat(gauges), 'name');
+        const lines = [];
+
+        Object.keys(METRICS).filter(name => series[name]).forEach((name) => {
+            lines.push(`# HELP ${name} ${METRICS[name][1]}`, `# TYPE ${name} ${METRICS[name][0]}`);
+
+            series[name].forEach((values) => {
+                if (!values.buckets) {
+                    lines.push(metricLine(name, values.labels, values.value));
+
+                    return;
+                }
+
+                DURATION_BUCKETS.forEach((bound, index) => {
+                    lines.push(metricLine(`${name}_bucket`,
+                        Object.assign({}, values.labels, { le: bound }), values.buckets[index]));
+                });
+                lines.push(
+                    metricLine(`${name}_bucket`,
+                        Object.assign({}, values.labels, { le: '+Inf' }), values.count),
+                    metricLine(`${name}_sum`, values.labels, values.sum),
+                    metricLine(`${name}_count`, values.labels, values.count));
+            });
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+class MemoryBuildStore {
+    /**
+     * Store of the build records, kept in memory so lost when the process restarts
+     * @method constructor
+     */
+    constructor() {
+        this.records = new Map();
+    }
+
+    /**
+     * Get the record of the build
+     * @method get
+     * @param  {String}   buildId       ID for the build
+     * @return {Promise}                Resolves to the record, or null when there is none
+     */
+    get(buildId) {
+        return Promise.resolve(this.records.get(String(buildId)) || null);
+    }
+
+    /**
+     * Save the record of the build
+     * @method set
+     * @param  {String}   buildId       ID for the build
+     * @param  {Object}   record        { host, jobName, queueId, buildNumber, node, url }
+     * @return {Promise}
+     */
+    set(buildId, record) {
+        this.records.set(String(buildId), record);
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Remove the record of the build
+     * @method remove
+     * @param  {String}   buildId       ID for the build
+     * @return {Promise}
+     */
+    remove(buildId) {
+        this.records.delete(String(buildId));
+
+        return Promise.resolve();
+    }
+}
+
 class J5sExecutor extends Executor {
 
     /**
-     * JenkinsClient command to run
-     * @method _jenkinsCommand
-     * @param  {Object}   options            An object that tells what command & params to run
-     * @param  {String}   options.module     Jenkins client module. For example: job, build
-     * @param  {String}   options.action     Jenkins client action in the given module. For example: get, create
-     * @param  {Array}    options.params     Parameters to run with
-     * @param  {Function} callback           fn(err) from jenkinsClient
+     * JenkinsClient command to run
+     * @method _jenkinsCommand
+     * @param  {Object}   jenkinsClient      Jenkins client of the controller to run against
+     * @param  {Array}    secrets            Credentials of the controller to redact from errors
+     * @param  {Object}   options            An object that tells what command & params to run
+     * @param  {String}   options.module     Jenkins client module. For example: job, build
+     * @param  {String}   options.action     Jenkins client action in the given module. For example: get, create
+     * @param  {Array}    options.params     Parameters to run with
+     * @param  {Function} callback           fn(err) from jenkinsClient
+     */
+    _jenkinsCommand(jenkinsClient, secrets, options, callback) {
+        // To pass arguments as an array, we need to use apply
+        jenkinsClient[options.module][options.action].apply(
+            jenkinsClient[options.module],
+            options.params.concat([(err, ...results) => {
+                // The request that failed, for toExecutorError
+                if (err) {
+                    err.module = options.module;
+                    err.action = options.action;
+                }
+
+                callback(redactError(err, secrets), ...results);
+            }]));
+    }
+
+    /**
+     * Create the client and circuit breaker for a Jenkins controller
+     * @method _createController
+     * @param  {Object}   jenkinsOptions     Jenkins controller options (see constructor)
+     * @param  {Object}   [fusebox]          Options for the circuit breaker
+     * @return {Object}                      { host, nodeLabel, baseUrl, jenkinsClient, breaker }
+     */
+    _createController(jenkinsOptions, fusebox) {
+        const protocol = jenkinsOptions.protocol || 'http';
+        const host = jenkinsOptions.host;
+        const port = jenkinsOptions.port || (protocol === 'https' ? '443' : '8080');
+        const username = jenkinsOptions.username || 'screwdriver';
+        const password = jenkinsOptions.token || jenkinsOptions.password;
+        // e.g. /jenkins, for a Jenkins not served from the root of the host
+        const pathPrefix = (jenkinsOptions.pathPrefix || '')
+            .replace(/^\/*/, '/')
+            .replace(/\/+$/, '');
+        const baseUrl = `${protocol}://${host}:${port}${pathPrefix}`;
+        const headers = {};
+        const secrets = [];
+
+        // Credentials go in a header, never in the URL which ends up in logs and errors
+        if (password) {
+            const basicAuth = Buffer.from(`${username}:${password}`).toString('base64');
+
+            headers.authorization = `Basic ${basicAuth}`;
+            secrets.push(password, basicAuth);
+        }
+
+        const jenkinsClient = jenkins(Object.assign({
+            baseUrl,
+            headers,
+            crumbIssuer: true
+        }, _.pick(jenkinsOptions, ['ca', 'cert', 'key', 'rejectUnauthorized'])));
+
+        addBuildAction(jenkinsClient, 'term');
+        addBuildAction(jenkinsClient, 'kill');
+        addCredentials(jenkinsClient);
+        addSystem(jenkinsClient);
+
+        const breaker = new Breaker((options, callback) =>
+            this._jenkinsCommand(jenkinsClient, secrets, options,
+                this._measureRequest(host, options, callback)),
+            Object.assign({}, fusebox, {
+                shouldRetry: (err, args) =>
+                    RETRIED_COMMANDS.indexOf(`${args[0].module}.${args[0].action}`) === -1 &&
+                    (!(fusebox && fusebox.shouldRetry) || fusebox.shouldRetry(err, args))
+            }));
+
+        // circuit-fuses does not pass on the events of the breaker it wraps
+        if (breaker.breaker) {
+            breaker.breaker.on('open', () =>
+                this.measurements.increment('j5s_circuit_breaker_trips_total', { host }));
+        }
+
+        return {
+            host,
+            port,
+            username,
+            password,
+            nodeLabel: jenkinsOptions.nodeLabel || 'screwdriver',
+            baseUrl,
+            jenkinsClient,
+            breaker
+        };
+    }
+
+    /**
+     * Callback of a Jenkins request counting the request and recording its duration
+     * @method _measureRequest
+     * @param  {String}   host               Host of the controller
+     * @param  {Object}   options            Command, see _jenkinsCommand
+     * @param  {Function} callback           fn(err) to call with the results
+     * @return {Function}
+     */
+    _measureRequest(host, options, callback) {
+        const startedAt = Date.now();
+        const labels = { host, operation: `${options.module}.${options.action}` };
+
+        return (err, ...results) => {
+            this.measurements.increment('j5s_jenkins_requests_total',
+                Object.assign({}, labels, { result: err ? 'failure' : 'success' }));
+            this.measurements.observe('j5s_jenkins_request_duration_seconds', labels,
+                (Date.now() - startedAt) / 1000);
+            callback(err, ...results);
+        };
+    }
+
+    /**
+     * Emit a lifecycle event of a build, counting it
+     * @method _emitEvent
+     * @param  {String}   name               Event name, e.g. queued
+     * @param  {Object}   payload            { buildId, jobName, ... }
+     */
+    _emitEvent(name, payload) {
+        this.measurements.increment('j5s_build_events_total', { event: name });
+        this.emit(name, payload);
+    }
+
+    /**
+     * Run the command through the circuit breaker, retrying transient errors with an
+     * exponential backoff, see _retryDelay
+     * @method _jenkinsRetryCommand
+     * @param  {Object}   controller         Jenkins controller
+     * @param  {Object}   options            Command, see _jenkinsCommand
+     * @param  {Number}   [attempt=0]        Retries done so far
+     * @return {Promise}
+     */
+    _jenkinsRetryCommand(controller, options, attempt) {
+        const retries = attempt || 0;
+
+        return Promise.resolve().then(() => controller.breaker.runCommand(options)).catch((err) => {
+            if (retries >= this.retry.retries || !isTransientError(err)) {
+                throw err;
+            }
+
+            return this._retryDelay(retries)
+                .then(() => this._jenkinsRetryCommand(controller, options, retries + 1));
+        });
+    }
+
+    /**
+     * Wait the exponential backoff of a retry. The jitter spreads the retries of API
+     * instances waiting on the same restarting Jenkins
+     * @method _retryDelay
+     * @param  {Number}   retries            Retries done so far
+     * @return {Promise}
+     */
+    _retryDelay(retries) {
+        const backoff = Math.min(this.retry.maxTimeout,
+            this.retry.minTimeout * (this.retry.factor ** retries));
+        const delay = (backoff / 2) + (Math.random() * (backoff / 2));
+
+        return new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    /**
+     * Queue a build of the job, retrying transient errors like _jenkinsRetryCommand.
+     * Jenkins may have queued the build before the error, e.g. when a proxy times out,
+     * so the job is checked before queueing it again and starting a second build
+     * @method _jenkinsJobBuild
+     * @param  {Object}   controller         Jenkins controller
+     * @param  {String}   jobName            Name of the job
+     * @param  {Array}    parameters         Build parameters, see _buildParameters
+     * @return {Promise}                     Resolves to the queue id, or to nothing when
+     *                                       Jenkins did not say where it queued the build
+     */
+    _jenkinsJobBuild(controller, jobName, parameters) {
+        const getJob = () => Promise.resolve().then(() => controller.breaker.runCommand({
+            module: 'job',
+            action: 'get',
+            params: [{ name: jobName }]
+        }));
+        const build = (lastNumber, retries) => Promise.resolve()
+            .then(() => controller.breaker.runCommand({
+                module: 'job',
+                action: 'build',
+                params: [{ name: jobName, parameters }]
+            }))
+            .catch((err) => {
+                if (retries >= this.retry.retries || !isTransientError(err)) {
+                    throw err;
+                }
+
+                return this._retryDelay(retries).then(getJob).then((data) => {
+                    if (data && data.inQueue && data.queueItem) {
+                        return data.queueItem.id;
+                    }
+
+                    if (data && data.lastBuild && data.lastBuild.number > lastNumber) {
+                        return null;
+                    }
+
+                    return build(lastNumber, retries + 1);
+                });
+            });
+
+        return getJob().then(data => build(data && data.lastBuild ? data.lastBuild.number : 0, 0));
+    }
+
+    /**
+     * Nodes having the label, and the executors of the online ones
+     * @method _jenkinsCapacity
+     * @param  {Object}   controller         Jenkins controller
+     * @param  {String}   [label]            Node label, defaults to the controller node label
+     * @return {Promise}                     Resolves to { online, offline, free, busy }
+     */
+    _jenkinsCapacity(controller, label) {
+        // Label expressions are compared as a whole, so they only match a node label of that name
+        const nodeLabel = label || controller.nodeLabel;
+
+        return controller.breaker.runCommand({
+            module: 'node',
+            action: 'list',
+            params: [{ tree: 'computer[offline,assignedLabels[name],executors[idle]]' }]
+        }).then(computers => (computers || [])
+            .filter(computer => (computer.assignedLabels || []).some(l => l.name === nodeLabel))
+            .reduce((capacity, computer) => {
+                const executors = computer.executors || [];
+                const free = executors.filter(e => e.idle).length;
+
+                if (computer.offline) {
+                    capacity.offline += 1;
+                } else {
+                    capacity.online += 1;
+                    capacity.free += free;
+                    capacity.busy += executors.length - free;
+                }
+
+                return capacity;
+            }, { online: 0, offline: 0, free: 0, busy: 0 })
+        );
+    }
+
+    /**
+     * Number of idle executors on the online nodes having the label
+     * @method _jenkinsFreeExecutors
+     * @param  {Object}   controller         Jenkins controller
+     * @param  {String}   [label]            Node label, defaults to the controller node label
+     * @return {Promise}                     Resolves to the number of idle executors
+     */
+    _jenkinsFreeExecutors(controller, label) {
+        return this._jenkinsCapacity(controller, label).then(capacity => capacity.free);
+    }
+
+    /**
+     * Check the controller can run builds, see healthCheck
+     * @method _controllerHealth
+     * @param  {Object}   controller         Jenkins controller
+     * @return {Promise}                     Resolves to the report of the controller, never rejects
+     */
+    _controllerHealth(controller) {
+        const report = {
+            host: controller.host,
+            healthy: false,
+            version: null,
+            nodeLabel: controller.nodeLabel,
+            missingPlugins: [],
+            agents: { online: 0, offline: 0 },
+            executors: { free: 0, busy: 0 },
+            problems: []
+        };
+        const requiredPlugins = REQUIRED_PLUGINS[this.jobTemplate].concat(
+            this.tokenCredentials || this.registries.length ? CREDENTIALS_PLUGINS : []);
+
+        // Anything Jenkins answers to this proves it is up and takes the credentials
+        const checked = controller.breaker.runCommand({
+            module: 'system',
+            action: 'version',
+            params: []
+        }).then((version) => {
+            report.version = version;
+
+            return Promise.all([
+                controller.breaker.runCommand({ module: 'system', action: 'plugins', params: [] }),
+                this._jenkinsCapacity(controller)
+            ]);
+        }).then((results) => {
+            const active = _.map(results[0].filter(plugin => plugin.active), 'shortName');
+            const capacity = results[1];
+
+            report.missingPlugins = requiredPlugins.filter(name => active.indexOf(name) === -1);
+            report.agents = _.pick(capacity, ['online', 'offline']);
+            report.executors = _.pick(capacity, ['free', 'busy']);
+
+            if (report.missingPlugins.length) {
+                report.problems.push(
+                    `Plugins ${report.missingPlugins.join(', ')} are not installed or not active`);
+            }
+
+            if (!capacity.online) {
+                report.problems.push(`No agent with the label "${controller.nodeLabel}" is online`);
+            }
+        });
+
+        return checked.catch((err) => {
+            const error = toExecutorError(err, {});
+
+            report.problems.push(error instanceof JenkinsAuthError ?
+                `Jenkins rejected the credentials of the executor: ${error.message}` :
+                error.message);
+        }).then(() => {
+            report.healthy = !report.problems.length;
+
+            return report;
+        });
+    }
+
+    /**
+     * Pick the controller with the most idle executors, skipping ones whose fuse is open.
+     * A half-open fuse only closes when a request succeeds, so those controllers are asked too
+     * @method _selectController
+     * @param  {String}   [label]            Node label the build asks for
+     * @return {Promise}                     Resolves to the chosen controller
+     */
+    _selectController(label) {
+        if (this.controllers.length === 1) {
+            return Promise.resolve(this.controllers[0]);
+        }
+
+        const candidates = this.controllers.filter(controller => !isFuseOpen(controller));
+
+        return Promise.all(candidates.map(controller =>
+            // A controller we cannot ask is not a controller we want to send builds to
+            this._jenkinsFreeExecutors(controller, label).catch(() => -1)
+        )).then((freeExecutors) => {
+            const index = freeExecutors.indexOf(Math.max.apply(null, freeExecutors));
+
+            if (index === -1 || freeExecutors[index] < 0) {
+                throw new JenkinsUnavailableError('No Jenkins controller is available');
+            }
+
+            return candidates[index];
+        });
+    }
+
+    /**
+     * What is known about the build: the store record, or the controller that has its job.
+     * Only start saves records, a build looked up for any buildId would grow the store
+     * @method _buildRecord
+     * @param  {String}   buildId            ID for the build
+     * @return {Promise}                     Resolves to { host, jobName, queueId, buildNumber, node, url }
+     */
+    _buildRecord(buildId) {
+        return this.buildStore.get(buildId).then((record) => {
+            if (record && _.find(this.controllers, { host: record.host })) {
+                return record;
+            }
+
+            return this._findController(buildId).then(controller =>
+                ({ host: controller.host, jobName: this._jobName(buildId) }));
+        });
+    }
+
+    /**
+     * Find the controller the build was started on
+     * @method _controllerFor
+     * @param  {String}   buildId            ID for the build
+     * @return {Promise}                     Resolves to the controller
+     */
+    _controllerFor(buildId) {
+        return this._buildRecord(buildId).then(record =>
+            _.find(this.controllers, { host: record.host }));
+    }
+
+    /**
+     * Find the controller that has the job of the build
+     * @method _findController
+     * @param  {String}   buildId            ID for the build
+     * @return {Promise}                     Resolves to the controller
+     */
+    _findController(buildId) {
+        if (this.controllers.length === 1) {
+            return Promise.resolve(this.controllers[0]);
+        }
+
+        // Not recorded in the store, look the job up on every controller
+        const jobName = this._jobName(buildId);
+
+        return Promise.all(this.controllers.map(controller =>
+            controller.breaker.runCommand({
+                module: 'job',
+                action: 'exists',
+                params: [{ name: jobName }]
+            }).catch(() => false)
+        )).then((exists) => {
+            const index = exists.indexOf(true);
+
+            if (index === -1) {
+                throw new JenkinsNotFoundError(`No Jenkins controller has the job ${jobName}`,
+                    { jobName });
+            }
+
+            return this.controllers[index];
+        });
+    }
+
+    /**
+     * Create or update Jenkins job
+     * @method _jenkinsJobCreateOrUpdate
+     * @param  {Object}   controller         Jenkins controller
+     * @param  {String}   jobName            Jenkins job name
+     * @param  {String}   xml                Jenkins job configuration
+     * @return {Promise}
+     */
+    _jenkinsJobCreateOrUpdate(controller, jobName, xml) {
+        const updateJob = () => this._jenkinsRetryCommand(controller, {
+            module: 'job',
+            action: 'config',
+            params: [{ name: jobName, xml }]
+        });
+        const jobExists = () => this._jenkinsRetryCommand(controller, {
+            module: 'job',
+            action: 'exists',
+            params: [{ name: jobName }]
+        });
+
+        return Promise.resolve().then(jobExists).then((exists) => {
+            if (exists) {
+                return updateJob();
+            }
+
+            return this._jenkinsRetryCommand(controller, {
+                module: 'job',
+                action: 'create',
+                params: [{ name: jobName, xml }]
+            }).catch((err) => {
+                // Jenkins answers 400 when the job was created since, by a retried start or
+                // another API instance, or by the create this retried. It also answers 400
+                // for a name or config it refuses, which must not turn into an update
+                if (err.statusCode !== 400) {
+                    throw err;
+                }
+
+                return jobExists().then((created) => {
+                    if (!created) {
+                        throw err;
+                    }
+
+                    return updateJob();
+                });
+            });
+        });
+    }
+
+    /**
+     * Stop Jenkins job, cancelling it when it is still in the queue
+     * @method _jenkinsJobStop
+     * @param  {Object}   controller         Jenkins controller
+     * @param  {String}   jobName            Jenkins job name
+     * @param  {Number}   [buildNumber]      Build to stop, defaults to the last build
+     * @return {Promise}                     Resolves to { jobName, queueId, buildNumber, state, signals }
+     */
+    _jenkinsJobStop(controller, jobName, buildNumber) {
+        const result = {
+            jobName,
+            queueId: null,
+            buildNumber: null,
+            state: 'NOT_STARTED',
+            signals: []
+        };
+
+        return controller.breaker.runCommand({
+            module: 'job',
+            action: 'get',
+            params: [{ name: jobName }]
+        }).then((data) => {
+            if (data && data.inQueue && data.queueItem) {
+                result.queueId = data.queueItem.id;
+
+                return controller.breaker.runCommand({
+                    module: 'queue',
+                    action: 'cancel',
+                    params: [{ number: data.queueItem.id }]
+                }).then(() => {
+                    result.state = 'CANCELLED';
+
+                    return result;
+                });
+            }
+
+            const number = buildNumber || (data && data.lastBuild && data.lastBuild.number);
+
+            if (!number) {
+                return result;
+            }
+
+            result.buildNumber = number;
+
+            if (data.lastCompletedBuild && data.lastCompletedBuild.number >= number) {
+                result.state = 'FINISHED';
+
+                return result;
+            }
+
+            const signals = data._class === PIPELINE_JOB_CLASS ? STOP_SIGNALS : ['stop'];
+
+            return this._jenkinsBuildSignal(controller, jobName, number, signals, result);
+        });
+    }
+
+    /**
+     * Send the signals to the build one by one until it stops
+     * @method _jenkinsBuildSignal
+     * @param  {Object}   controller         Jenkins controller
+     * @param  {String}   jobName            Jenkins job name
+     * @param  {Number}   number             Build number
+     * @param  {Array}    signals            Build actions to send, e.g. stop, term, kill
+     * @param  {Object}   result             Result of the stop, updated with what happened
+     * @return {Promise}                     Resolves to the result
+     */
+    _jenkinsBuildSignal(controller, jobName, number, signals, result) {
+        result.signals.push(signals[0]);
+
+        return controller.breaker.runCommand({
+            module: 'build',
+            action: signals[0],
+            params: [{ name: jobName, number }]
+        }).then(() => {
+            const waitStartedAt = Date.now();
+
+            return this._jenkinsJobWaitStop(controller, jobName, number, 0).then((stopped) => {
+                this.measurements.observe('j5s_build_stop_duration_seconds',
+                    { host: controller.host }, (Date.now() - waitStartedAt) / 1000);
+
+                return stopped;
+            });
+        }).then((stopped) => {
+            if (stopped) {
+                result.state = 'STOPPED';
+
+                return result;
+            }
+
+            if (signals.length === 1) {
+                result.state = 'RUNNING';
+
+                return result;
+            }
+
+            return this._jenkinsBuildSignal(controller, jobName, number, signals.slice(1), result);
+        });
+    }
+
+    /**
+     * Save the credentials of the build, e.g. its token, as Jenkins credentials the job binds
+     * @method _jenkinsCredentialsCreate
+     * @param  {Object}   controller         Jenkins controller
+     * @param  {Object}   config             A configuration object psssed to _start
+     * @return {Promise}
      */
-    _jenkinsCommand(options, callback) {
-        // To pass arguments as an array, we need to use apply
-        this.jenkinsClient[options.module][options.action].apply(
-            this.jenkinsClient[options.module],
-            options.params.concat([callback]));
+    _jenkinsCredentialsCreate(controller, config) {
+        return Promise.all(this._buildCredentials(config).map(credential =>
+            this._jenkinsRetryCommand(controller, {
+                module: 'credentials',
+                action: 'create',
+                params: [credential]
+            }).catch((err) => {
+                // Left by an earlier start of the build, e.g. one that was retried
+                if (err.statusCode !== 409) {
+                    throw err;
+                }
+
+                return this._jenkinsRetryCommand(controller, {
+                    module: 'credentials',
+                    action: 'update',
+                    params: [credential]
+                });
+            })
+        ));
     }
 
     /**
-     * Create or update Jenkins job
-     * @method _jenkinsJobCreateOrUpdate
-     * @param  {String}   jobName            Jenkins job name
-     * @param  {String}   xml                Jenkins job configuration
+     * Remove the Jenkins credentials saved for the build
+     * @method _jenkinsCredentialsDestroy
+     * @param  {Object}   controller         Jenkins controller
+     * @param  {String}   buildId            ID for the build
      * @return {Promise}
      */
-    _jenkinsJobCreateOrUpdate(jobName, xml) {
-        return Promise.resolve().then(() =>
-            this.breaker.runCommand({
-                module: 'job',
-                action: 'exists',
-                params: [{ name: jobName }]
+    _jenkinsCredentialsDestroy(controller, buildId) {
+        return Promise.all(this._buildCredentials({ buildId }).map(credential =>
+            controller.breaker.runCommand({
+                module: 'credentials',
+                action: 'destroy',
+                params: [{ id: credential.id }]
             })
-        ).then((exists) => {
-            if (exists) {
-                return this.breaker.runCommand({
-                    module: 'job',
-                    action: 'config',
-                    params: [{ name: jobName, xml }]
-                });
-            }
+        ));
+    }
 
-            return this.breaker.runCommand({
-                module: 'job',
-                action: 'create',
-                params: [{ name: jobName, xml }]
-            });
+    /**
+     * Position of the queue item in the Jenkins queue (1 means next to be built)
+     * @method _jenkinsQueuePosition
+     * @param  {Object}   controller         Jenkins controller
+     * @param  {Number}   queueId            Jenkins queue item ID
+     * @return {Promise}                     Resolves to the position or null when not queued
+     */
+    _jenkinsQueuePosition(controller, queueId) {
+        return controller.breaker.runCommand({
+            module: 'queue',
+            action: 'list',
+            params: []
+        }).then((items) => {
+            // Jenkins does not guarantee the order of the list, the oldest item is built first
+            const ids = _.sortBy(items || [], 'inQueueSince').map(item => item.id);
+            const index = ids.indexOf(queueId);
+
+            return index === -1 ? null : index + 1;
         });
     }
 
     /**
-     * Stop Jenkins job
-     * @method _jenkinsJobStop
+     * Why the finished build failed, from the markers the build script prints
+     * @method _jenkinsBuildFailure
+     * @param  {Object}   controller         Jenkins controller
      * @param  {String}   jobName            Jenkins job name
-     * @return {Promise}
+     * @param  {Object}   build              Jenkins build that did not succeed
+     * @return {Promise}                     Resolves to TIMEOUT, IMAGE_PULL, LAUNCHER, OOM_KILLED,
+     *                                       ABORTED or BUILD (a step of the build failed)
      */
-    _jenkinsJobStop(jobName) {
-        return this.breaker.runCommand({
-            module: 'job',
-            action: 'get',
-            params: [{ name: jobName }]
-        }).then((data) => {
-            if (!(data && data.lastBuild && data.lastBuild.number)) {
-                throw new Error('No build has been started yet, try later');
+    _jenkinsBuildFailure(controller, jobName, build) {
+        // Jenkins aborted the build and wrote the description
+        if (build.description === TIMEOUT_MARKER) {
+            return Promise.resolve('TIMEOUT');
+        }
+
+        return controller.breaker.runCommand({
+            module: 'build',
+            action: 'log',
+            params: [{ name: jobName, number: build.number }]
+        }).then((log) => {
+            const lines = (log || '').split('\n');
+            const marker = `${FAILURE_MARKER}: `;
+            const failure = _.find(lines, line => line.indexOf(marker) === 0);
+
+            // The watchdog of the build script killed the container
+            if (lines.some(line => line.indexOf(TIMEOUT_MARKER) === 0)) {
+                return 'TIMEOUT';
             }
 
-            return this.breaker.runCommand({
-                module: 'build',
-                action: 'stop',
-                params: [{ name: jobName, number: data.lastBuild.number }]
-            });
-        }).then(() => this._jenkinsJobWaitStop(jobName, 0));
+            if (failure) {
+                const category = failure.slice(marker.length).split(':')[0];
+
+                if (FAILURE_EXIT_CODES[category]) {
+                    return category;
+                }
+            }
+
+            return build.result === 'ABORTED' ? 'ABORTED' : 'BUILD';
+        });
+    }
+
+    /**
+     * List the Screwdriver jobs on the controller with their last build
+     * @method _jenkinsJobList
+     * @param  {Object}   controller         Jenkins controller
+     * @return {Promise}                     Resolves to [{ name, buildId, inQueue, lastBuild }]
+     */
+    _jenkinsJobList(controller) {
+        const prefix = this._jobName('');
+
+        return controller.breaker.runCommand({
+            module: 'job',
+            action: 'list',
+            params: [{ tree: 'jobs[name,inQueue,lastBuild[number,building,timestamp,duration]]' }]
+        }).then(jobs => (jobs || [])
+            .filter(job => job.name.indexOf(prefix) === 0)
+            .map(job => Object.assign({ buildId: job.name.slice(prefix.length) }, job))
+        );
     }
 
     /**
-     * Wait until the job stopped
+     * Wait until the build stopped
      * @method _jenkinsJobWaitStop
+     * @param  {Object}   controller         Jenkins controller
      * @param  {String}   jobName            Jenkins job name
+     * @param  {Number}   number             Build number
      * @param  {Number}   timeConsumed       Elapsed time
-     * @return {Promise}
+     * @return {Promise}                     Resolves to false when it did not stop in time
      */
-    _jenkinsJobWaitStop(jobName, timeConsumed) {
+    _jenkinsJobWaitStop(controller, jobName, number, timeConsumed) {
         if (timeConsumed >= this.cleanupTimeLimit) {
-            return Promise.resolve();
+            return Promise.resolve(false);
         }
 
-        return this.breaker.runCommand({
+        return controller.breaker.runCommand({
             module: 'job',
             action: 'get',
             params: [{ name: jobName }]
         }).then((data) => {
-            if (data && data.lastCompletedBuild && data.lastCompletedBuild.number) {
-                return null;
+            if (data && data.lastCompletedBuild && data.lastCompletedBuild.number >= number) {
+                return true;
             }
 
             // Sleep between retry
             return new Promise((resolve) => {
                 setTimeout(() => resolve(), this.cleanupWatchInterval * 1000);
             }).then(() =>
-                this._jenkinsJobWaitStop(jobName, timeConsumed + this.cleanupWatchInterval)
+                this._jenkinsJobWaitStop(controller, jobName, number,
+                    timeConsumed + this.cleanupWatchInterval)
+            );
+        });
+    }
+
+    /**
+     * Wait until the queue item became a build, was cancelled, or the time limit passed
+     * @method _jenkinsQueueWaitBuild
+     * @param  {Object}   controller         Jenkins controller
+     * @param  {Number}   queueId            Jenkins queue item ID
+     * @param  {Number}   timeConsumed       Elapsed time
+     * @return {Promise}                     Resolves to the queue item
+     */
+    _jenkinsQueueWaitBuild(controller, queueId, timeConsumed) {
+        return controller.breaker.runCommand({
+            module: 'queue',
+            action: 'item',
+            params: [{ number: queueId }]
+        }).then((item) => {
+            if ((item && (item.executable || item.cancelled)) ||
+                timeConsumed >= this.startTimeLimit) {
+                return item;
+            }
+
+            // Sleep between retry
+            return new Promise((resolve) => {
+                setTimeout(() => resolve(), this.startWatchInterval * 1000);
+            }).then(() =>
+                this._jenkinsQueueWaitBuild(controller, queueId,
+                    timeConsumed + this.startWatchInterval)
             );
         });
     }
 
+    /**
+     * Find the controller and number of the build, once Jenkins started it
+     * @method _jenkinsBuildNumber
+     * @param  {String}   buildId            ID for the build
+     * @return {Promise}                     Resolves to { controller, number }
+     */
+    _jenkinsBuildNumber(buildId) {
+        const jobName = this._jobName(buildId);
+
+        return this._buildRecord(buildId).then((record) => {
+            const controller = _.find(this.controllers, { host: record.host });
+
+            if (record.buildNumber) {
+                return { controller, number: record.buildNumber };
+            }
+
+            return controller.breaker.runCommand({
+                module: 'job',
+                action: 'get',
+                params: [{ name: jobName }]
+            }).then((data) => {
+                if (!(data && data.lastBuild && data.lastBuild.number)) {
+                    throw new BuildNotStartedError(`${jobName} has not started a build`,
+                        { jobName, buildId });
+                }
+
+                return { controller, number: data.lastBuild.number };
+            });
+        });
+    }
+
+    /**
+     * Push the console text of the build to the stream until the build finished
+     * @method _jenkinsLogPoll
+     * @param  {Object}   controller         Jenkins controller
+     * @param  {String}   jobName            Jenkins job name
+     * @param  {Number}   number             Build number
+     * @param  {Object}   output             { stream, secrets, start, partial }: where to push,
+     *                                       what to mask and how far the console was read
+     * @return {Promise}                     Resolves once the build finished or the stream was destroyed
+     */
+    _jenkinsLogPoll(controller, jobName, number, output) {
+        return controller.breaker.runCommand({
+            module: 'build',
+            action: 'log',
+            params: [{ name: jobName, number, start: output.start, meta: true }]
+        }).then((data) => {
+            if (output.stream.destroyed) {
+                return null;
+            }
+
+            // A secret can be cut at the end of the text, so the last line waits until it is complete
+            const text = output.partial + (data.text || '');
+            const end = data.more ? text.lastIndexOf('\n') + 1 : text.length;
+
+            output.partial = text.slice(end);
+
+            if (end) {
+                output.stream.push(redact(text.slice(0, end), output.secrets));
+            }
+
+            if (!data.more) {
+                output.stream.push(null);
+
+                return null;
+            }
+
+            output.start = data.size || output.start;
+
+            // Sleep between retry
+            return new Promise((resolve) => {
+                setTimeout(() => resolve(), this.logWatchInterval * 1000);
+            }).then(() => this._jenkinsLogPoll(controller, jobName, number, output));
+        });
+    }
+
+    /**
+     * Upload lines to the store as the log of a step of the build
+     * @method _storeLogUpload
+     * @param  {Object}   config             A configuration object
+     * @param  {String}   config.buildId     ID for the build
+     * @param  {String}   config.token       Build token, to authenticate to the store
+     * @param  {String}   step               Step name
+     * @param  {Array}    lines              Lines of the log
+     * @return {Promise}
+     */
+    _storeLogUpload(config, step, lines) {
+        const now = Date.now();
+        // The format the launcher writes the step logs in, one JSON line each
+        const body = lines.map((line, n) => `${JSON.stringify({ t: now, m: line, n })}\n`);
+
+        return new Promise((resolve, reject) => {
+            request({
+                method: 'PUT',
+                url: `${this.ecosystem.store}/v1/builds/${config.buildId}/${step}/log.0`,
+                headers: {
+                    Authorization: `Bearer ${config.token}`,
+                    'Content-Type': 'text/plain'
+                },
+                body: body.join('')
+            }, (err, response) => {
+                if (err) {
+                    reject(err);
+                } else if (response.statusCode >= 300) {
+                    reject(new ExecutorError(
+                        `Store answered ${response.statusCode} to the ${step} log`,
+                        { statusCode: response.statusCode, module: 'store', action: 'upload' }));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Secrets of the build to mask in what is shown to users
+     * @method _buildSecrets
+     * @param  {Object}   config        A configuration object
+     * @param  {String}   [config.token] Build token
+     * @return {Array}
+     */
+    _buildSecrets(config) {
+        return [config.token].concat(this.registries.map(registry => registry.password))
+            .filter(secret => secret);
+    }
+
+    /**
+     * Node label the build asks for through the annotation
+     * @method _buildNodeLabel
+     * @param  {Object}   config        A configuration object psssed to _start
+     * @return {String}                 Node label, or null to use the controller node label
+     */
+    _buildNodeLabel(config) {
+        const label = config.annotations && config.annotations[NODE_LABEL_ANNOTATION];
+
+        if (!label) {
+            return null;
+        }
+
+        if (this.allowedNodeLabels.indexOf(label) === -1) {
+            throw new Error(`Node label "${label}" is not allowed`);
+        }
+
+        return label;
+    }
+
+    /**
+     * Resource limits of the build container, from the tier the build asks for
+     * @method _buildResources
+     * @param  {Object}   config        A configuration object psssed to _start
+     * @return {Object}                 { memory, memoryLimit, cpus, shmSize }
+     */
+    _buildResources(config) {
+        const tierName = config.annotations && config.annotations[RESOURCES_ANNOTATION];
+        const defaults = {
+            memory: this.memory,
+            memoryLimit: this.memoryLimit,
+            cpus: null,
+            shmSize: null
+        };
+
+        if (!tierName) {
+            return defaults;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(this.resourceTiers, tierName)) {
+            throw new Error(`Resource tier "${tierName}" is not configured`);
+        }
+
+        const tier = this.resourceTiers[tierName];
+
+        // The default memoryLimit may be below the memory of the tier, docker refuses that
+        if (tier.memory && !tier.memoryLimit) {
+            defaults.memoryLimit = tier.memory;
+        }
+
+        return Object.assign(defaults, tier);
+    }
+
+    /**
+     * Extra arguments of the build container run: the env vars, volumes and run options of
+     * the operator, then the allowed ones the build asks for through annotations
+     * @method _buildRunArguments
+     * @param  {Object}   config        A configuration object psssed to _start
+     * @return {Array}                  Arguments of docker run
+     */
+    _buildRunArguments(config) {
+        const annotations = config.annotations || {};
+        const buildEnv = annotations[ENV_ANNOTATION] || {};
+        const buildVolumes = [].concat(annotations[VOLUMES_ANNOTATION] || []);
+        const buildRunOptions = [].concat(annotations[RUN_OPTIONS_ANNOTATION] || []);
+
+        if (!_.isPlainObject(buildEnv)) {
+            throw new Error(`Annotation "${ENV_ANNOTATION}" must be an object`);
+        }
+
+        Object.keys(buildEnv).forEach((name) => {
+            if (this.allowedEnv.indexOf(name) === -1) {
+                throw new Error(`Environment variable "${name}" is not allowed`);
+            }
+        });
+
+        buildVolumes.forEach((volume) => {
+            if (this.allowedVolumes.indexOf(volume) === -1) {
+                throw new Error(`Volume "${volume}" is not allowed`);
+            }
+        });
+
+        buildRunOptions.forEach((option) => {
+            const name = checkRunOption(option, this.unsafeRunOptions);
+
+            if (this.allowedRunOptions.indexOf(name) === -1) {
+                throw new Error(`Run option "${name}" is not allowed`);
+            }
+        });
+
+        const env = Object.assign({}, this.env, buildEnv);
+        const runOptions = this.runOptions.concat(buildRunOptions).map(String);
+
+        // The build container joins the network of its services instead
+        if (runOptions.some(option => runOptionName(option) === '--network') &&
+            this._buildServices(config).length) {
+            throw new Error('Services cannot be used with the run option "--network"');
+        }
+
+        return [].concat(
+            _.flatMap(Object.keys(env), name => ['-e', `${name}=${env[name]}`]),
+            _.flatMap(this.volumes.concat(buildVolumes), volume => ['--volume', volume]),
+            runOptions
+        );
+    }
+
+    /**
+     * Service containers the build asks for through the annotation, e.g. a database
+     * @method _buildServices
+     * @param  {Object}   config        A configuration object psssed to _start
+     * @return {Array}                  [{ alias, image, env }]
+     */
+    _buildServices(config) {
+        const services = (config.annotations && config.annotations[SERVICES_ANNOTATION]) || {};
+
+        if (!_.isPlainObject(services)) {
+            throw new Error(`Annotation "${SERVICES_ANNOTATION}" must be an object`);
+        }
+
+        return Object.keys(services).map((alias) => {
+            // A service is an image, or an object with the image and env vars
+            const service = _.isString(services[alias]) ?
+                { image: services[alias] } : Object.assign({}, services[alias]);
+
+            if (!/^[a-z][a-z0-9-]*$/.test(alias)) {
+                throw new Error(
+                    `Service name "${alias}" must be lowercase letters, digits and dashes`);
+            }
+
+            if (!service.image) {
+                throw new Error(`Service "${alias}" needs an image`);
+            }
+
+            return { alias, image: service.image, env: service.env || {} };
+        });
+    }
+
     /**
      * Jenkins job config xml
      * @method _loadJobXml
      * @param  {Object}   config        A configuration object psssed to _start
+     * @param  {Object}   controller    Jenkins controller the job is created on
      * @return {Promise}
      */
-    _loadJobXml(config) {
-        const { buildScript, cleanupScript } = this._taskScript(config);
+    _loadJobXml(config, controller) {
+        const variables = this._templateVariables(config,
+            this._buildNodeLabel(config) || controller.nodeLabel,
+            this._taskScript(config));
+
+        if (this.compiledJobTemplate) {
+            return Promise.resolve(this.compiledJobTemplate(variables));
+        }
 
         return new Promise((resolve, reject) => {
-            const configPath = path.resolve(__dirname, './config/job.xml');
+            const configPath = path.resolve(__dirname, JOB_TEMPLATES[this.jobTemplate]);
 
             fs.readFile(configPath, 'utf-8', (err, fileContents) => {
                 if (err) {
@@ -131,13 +1645,134 @@ class J5sExecutor extends Executor {
 
                 return resolve(fileContents);
             });
-        }).then(xml => (
-            _.template(xml)({
-                nodeLabel: xmlescape(this.nodeLabel),
-                buildScript: xmlescape(buildScript),
-                cleanupScript: xmlescape(cleanupScript)
-            })
-        ));
+        }).then(xml => _.template(xml)(variables));
+    }
+
+    /**
+     * Variables available in the job template. Strings are escaped for the template already,
+     * values of labels and env are not and have to be written with <%- %>
+     * @method _templateVariables
+     * @param  {Object}   config        A configuration object psssed to _start
+     * @param  {String}   nodeLabel     Node label the job is assigned to
+     * @param  {Object}   scripts       { buildScript, cleanupScript }
+     * @return {Object}
+     */
+    _templateVariables(config, nodeLabel, scripts) {
+        // Pipeline jobs take the scripts, node label and credential IDs as Groovy string
+        // literals, quotes included, the README lists which variables are literals
+        const literal = this.jobTemplate === 'pipeline' ? groovyString : _.identity;
+        const timeout = this._buildTimeout(config);
+        const tokenCredentialId = this._tokenCredentialId(config.buildId);
+
+        return {
+            nodeLabel: xmlescape(literal(nodeLabel)),
+            buildScript: xmlescape(literal(scripts.buildScript)),
+            cleanupScript: xmlescape(literal(scripts.cleanupScript)),
+            buildId: xmlescape(String(config.buildId)),
+            jobName: xmlescape(this._jobName(config.buildId)),
+            container: xmlescape(config.container),
+            timeout,
+            jenkinsTimeout: timeout + JENKINS_TIMEOUT_GRACE,
+            // null when the token is sent as the SD_TOKEN build parameter
+            tokenCredentialId: this.tokenCredentials ?
+                xmlescape(literal(tokenCredentialId)) : null,
+            registryCredentials: this.registries.map((registry, index) => ({
+                credentialsId:
+                    xmlescape(literal(this._registryCredentialId(config.buildId, index))),
+                usernameVariable: `SD_REGISTRY_USER_${index}`,
+                passwordVariable: `SD_REGISTRY_PASSWORD_${index}`
+            })),
+            labels: Object.assign({}, config.annotations),
+            env: _.omit(this._buildParameters(config), 'SD_TOKEN')
+        };
+    }
+
+    /**
+     * Compile the job template given by the operator, checking it renders
+     * @method _compileJobTemplate
+     * @param  {String}   xml           Job template
+     * @return {Function}               Compiled template
+     */
+    _compileJobTemplate(xml) {
+        try {
+            const template = _.template(xml);
+
+            template(this._templateVariables({ buildId: 1, container: 'node:8' },
+                this.nodeLabel, { buildScript: '', cleanupScript: '' }));
+
+            return template;
+        } catch (err) {
+            throw new Error(`Invalid job template: ${err.message}`);
+        }
+    }
+
+    /**
+     * Build timeout asked for through the annotation, capped to the maximum
+     * @method _buildTimeout
+     * @param  {Object}   config        A configuration object psssed to _start
+     * @return {Number}                 Timeout in minutes
+     */
+    _buildTimeout(config) {
+        const timeout = config.annotations && Number(config.annotations[TIMEOUT_ANNOTATION]);
+
+        if (!(timeout > 0)) {
+            return this.buildTimeout;
+        }
+
+        return Math.min(timeout, this.maxBuildTimeout);
+    }
+
+    /**
+     * Parameters of the Jenkins build
+     * @method _buildParameters
+     * @param  {Object}   config        A configuration object psssed to _start
+     * @return {Object}
+     */
+    _buildParameters(config) {
+        const parameters = {
+            SD_BUILD_ID: String(config.buildId),
+            SD_TOKEN: config.token,
+            SD_CONTAINER: config.container,
+            SD_API: this.ecosystem.api,
+            SD_STORE: this.ecosystem.store
+        };
+
+        // The job binds the token from the credential instead
+        return this.tokenCredentials ? _.omit(parameters, 'SD_TOKEN') : parameters;
+    }
+
+    /**
+     * Jenkins credentials created for the build and removed with its job
+     * @method _buildCredentials
+     * @param  {Object}   config        A configuration object psssed to _start
+     * @return {Array}                  [{ id, description, secret }] or [{ id, description, username, password }]
+     */
+    _buildCredentials(config) {
+        const credentials = [];
+
+        if (this.tokenCredentials) {
+            credentials.push({
+                id: this._tokenCredentialId(config.buildId),
+                secret: config.token,
+                description: `Screwdriver token of build ${config.buildId}`
+            });
+        }
+
+        this.registries.forEach((registry, index) => {
+            // Credentials kept in Jenkins by the operator are not ours to remove
+            if (registry.credentialsId) {
+                return;
+            }
+
+            credentials.push({
+                id: this._registryCredentialId(config.buildId, index),
+                username: registry.username,
+                password: registry.password,
+                description: `Screwdriver login to ${registry.host} for build ${config.buildId}`
+            });
+        });
+
+        return credentials;
     }
 
     /**
@@ -164,31 +1799,111 @@ class J5sExecutor extends Executor {
      * @return {Object}
      */
     _dockerTaskScript(config) {
-        const pullLauncherImage = shellescape([
-            this.dockerCommand, 'pull', `screwdrivercd/launcher:${this.launchVersion}`
-        ]);
-        const pullBuildImage = shellescape([
-            this.dockerCommand, 'pull', config.container
-        ]);
+        const launcherImage = this._runtimeImage(this._launcherImage());
+        const buildImage = this._runtimeImage(config.container);
+        const services = this._buildServices(config).map(service =>
+            Object.assign(service, { image: this._runtimeImage(service.image) }));
+        const pulls = [launcherImage, buildImage].concat(services.map(service => service.image))
+            .map(image => this._pullImageScript(image))
+            .filter(script => script)
+            .map(script => `${script} &\npulls="$pulls $!"`);
+        // Pull the images at once, waiting for each so that any failed pull is noticed
+        const pullImages = pulls.length ? `pulls=""
+${pulls.join('\n')}
+
+pull_status=0
+for pull in $pulls; do
+    wait "$pull" || pull_status=$?
+done
+if [ "$pull_status" -ne 0 ]; then
+    echo "${FAILURE_MARKER}: IMAGE_PULL: could not pull the images"
+    exit ${FAILURE_EXIT_CODES.IMAGE_PULL}
+fi
+
+` : '';
         const launcherContainerName = `${this.prefix}${config.buildId}-init`;
         const createLauncherContainer = shellescape([
             this.dockerCommand, 'run',
             '--name', launcherContainerName,
             '--label', `sdbuild=${this.prefix}${config.buildId}`,
             '--entrypoint', '/bin/true',
-            `screwdrivercd/launcher:${this.launchVersion}`
+            launcherImage
         ]);
-        const buildContainerName = `${this.prefix}${config.buildId}-build`;
-        const createBuildContainer = shellescape([
-            this.dockerCommand, 'run',
-            '--name', buildContainerName,
+        const resources = this._buildResources(config);
+        const limitOptions = [
+            '--memory', resources.memory,
+            '--memory-swap', resources.memoryLimit
+        ];
+        const resourceOptions = [];
+
+        if (resources.cpus) {
+            limitOptions.push('--cpus', String(resources.cpus));
+        }
+
+        if (resources.shmSize) {
+            resourceOptions.push('--shm-size', resources.shmSize);
+        }
+
+        // With podman the agent decides whether the limits apply, see _podmanLimitsScript
+        const runResources = this.runtime === 'podman' ?
+            joinCommand([shellescape(resourceOptions), '$limits']) :
+            shellescape(limitOptions.concat(resourceOptions));
+
+        // The services run on a network of the build, reachable by their name
+        const networkName = `${this.prefix}${config.buildId}-network`;
+        const createNetwork = shellescape([
+            this.dockerCommand, 'network', 'create',
             '--label', `sdbuild=${this.prefix}${config.buildId}`,
-            '--entrypoint', '/opt/sd/tini',
-            '--memory', this.memory,
-            '--memory-swap', this.memoryLimit,
-            '--volumes-from', `${launcherContainerName}:rw`,
-            '-e', 'SD_TOKEN',
-            config.container,
+            networkName
+        ]);
+        const serviceContainerNames = services.map(service =>
+            `${this.prefix}${config.buildId}-service-${service.alias}`);
+        const createServiceContainers = services.map((service, index) => joinCommand([
+            shellescape([
+                this.dockerCommand, 'run', '--detach',
+                '--name', serviceContainerNames[index],
+                '--label', `sdbuild=${this.prefix}${config.buildId}`,
+                '--network', networkName,
+                '--network-alias', service.alias
+            ]),
+            runResources,
+            shellescape([
+                ..._.flatMap(Object.keys(service.env),
+                    name => ['-e', `${name}=${service.env[name]}`]),
+                service.image
+            ])
+        ]));
+        const startServices = services.length ? `# Start the services of the build on its network
+if ! ${createNetwork} > /dev/null; then
+    echo "${FAILURE_MARKER}: SERVICE: could not create the network of the services"
+    exit ${FAILURE_EXIT_CODES.SERVICE}
+fi
+${services.map((service, index) => `if ! ${createServiceContainers[index]} > /dev/null; then
+    echo "${FAILURE_MARKER}: SERVICE: could not start the service ${service.alias}"
+    exit ${FAILURE_EXIT_CODES.SERVICE}
+fi
+`).join('')}
+` : '';
+
+        const buildContainerName = `${this.prefix}${config.buildId}-build`;
+        const cacheVolumes = this._cacheVolumes(config);
+        const runBuildContainer = joinCommand([
+            shellescape([
+                this.dockerCommand, 'run',
+                '--name', buildContainerName,
+                '--label', `sdbuild=${this.prefix}${config.buildId}`,
+                '--entrypoint', '/opt/sd/tini'
+            ]),
+            runResources,
+            shellescape([
+                ...(services.length ? ['--network', networkName] : []),
+                '--volumes-from', `${launcherContainerName}:rw`,
+                '-e', 'SD_TOKEN',
+                ...this._buildRunArguments(config)
+            ])
+        ]);
+        const buildCommand = shellescape([
+            buildImage,
             '--',
             // Run a shell command
             '/bin/sh',
@@ -202,6 +1917,7 @@ class J5sExecutor extends Executor {
                 '/opt/sd/emitter',
                 config.buildId,
                 '&',
+                'launcher=$!;',
                 // Run the logservice in the background
                 '/opt/sd/logservice',
                 '--emitter',
@@ -211,43 +1927,348 @@ class J5sExecutor extends Executor {
                 '--build',
                 config.buildId,
                 '&',
-                // Wait for both background jobs to complete
-                'wait $(jobs -p)'
+                // Wait for both background jobs to complete, exiting with the launcher status
+                'wait "$launcher";',
+                'status=$?;',
+                'wait;',
+                'exit "$status"'
             ].join(' ')
         ]);
+        // The positional parameters hold the cache volume options when the build got the caches
+        const createBuildContainer = cacheVolumes.length ?
+            `${runBuildContainer} "$@" ${buildCommand}` : `${runBuildContainer} ${buildCommand}`;
 
         const waitContainerEnd = shellescape([
             this.dockerCommand, 'wait', buildContainerName
         ]);
 
+        const timeout = this._buildTimeout(config);
+        const killContainer = shellescape([
+            this.dockerCommand, 'kill', buildContainerName
+        ]);
+        const inspectOomKilled = shellescape([
+            this.dockerCommand, 'inspect', '--format', '{{.State.OOMKilled}}', buildContainerName
+        ]);
+
         const buildScript = `
 set -eu
 
-${pullLauncherImage} &
-${pullBuildImage} &
+${this._registryLoginScript()}${pullImages}${this._cacheScript(config, cacheVolumes)}\
+${this._podmanLimitsScript(limitOptions)}if ! ${createLauncherContainer}; then
+    echo "${FAILURE_MARKER}: LAUNCHER: could not create the launcher container"
+    exit ${FAILURE_EXIT_CODES.LAUNCHER}
+fi
+
+${startServices}# Kill the build container when it runs longer than the timeout.
+# Stopping the watchdog kills its sleep, and neither keeps the cache lock open
+timeout_dir="$(mktemp -d)"
+(
+    trap 'kill "$sleep_pid" 2>/dev/null; exit 0' TERM
+    sleep ${timeout * 60} &
+    sleep_pid=$!
+    wait "$sleep_pid" && touch "$timeout_dir/timeout" && ${killContainer}
+) 9>&- &
+watchdog=$!
+
+run_status=0
+${createBuildContainer} || run_status=$?
+
+# Exit code of the build container, or of the run when it never created the container
+build_status="$(${waitContainerEnd} 2>/dev/null)" || build_status="$run_status"
 
-wait $(jobs -p)
+kill "$watchdog" 2>/dev/null || true
+wait "$watchdog" 2>/dev/null || true
+timed_out=false
+if [ -e "$timeout_dir/timeout" ]; then
+    timed_out=true
+fi
+rm -rf "$timeout_dir"
 
-${createLauncherContainer}
-${createBuildContainer}
+if [ "$timed_out" = true ]; then
+    echo "${TIMEOUT_MARKER}: build timed out after ${timeout} minutes"
+    exit ${FAILURE_EXIT_CODES.TIMEOUT}
+fi
 
-${waitContainerEnd}
+if [ "$(${inspectOomKilled} 2>/dev/null)" = true ]; then
+    echo "${FAILURE_MARKER}: OOM_KILLED: the build container ran out of memory"
+    exit ${FAILURE_EXIT_CODES.OOM_KILLED}
+fi
+
+# The runtime could not start the container or its entrypoint
+case "$build_status" in
+    125|126|127)
+        echo "${FAILURE_MARKER}: LAUNCHER: the build container could not start"
+        exit ${FAILURE_EXIT_CODES.LAUNCHER}
+        ;;
+esac
+
+exit "$build_status"
 `;
 
         const stopContainer = shellescape([
             this.dockerCommand, 'rm',
             '-v', '-f',
             buildContainerName,
-            launcherContainerName
+            launcherContainerName,
+            ...serviceContainerNames
         ]);
+        const removeNetwork = services.length ? `${shellescape([
+            this.dockerCommand, 'network', 'rm', networkName
+        ])} > /dev/null 2>&1 || true\n` : '';
+
+        // The docker config holding the registry logins is removed along with the containers
+        const removeDockerConfig = this.registries.length ?
+            `rm -rf "${DOCKER_CONFIG_DIR}"\n` : '';
 
         const cleanupScript = `
-${stopContainer}
-`;
+${removeDockerConfig}${stopContainer}
+${removeNetwork}${this._cacheEvictionScript()}`;
 
         return { buildScript, cleanupScript };
     }
 
+    /**
+     * Script setting the limits variable to the resource limit options, or to nothing on
+     * rootless podman with cgroups v1, which cannot apply them and fails the run instead
+     * @method _podmanLimitsScript
+     * @param  {Array}    limitOptions  Resource limit options, e.g. ['--memory', '4g']
+     * @return {String}                 Empty for docker, which always applies them
+     */
+    _podmanLimitsScript(limitOptions) {
+        if (this.runtime !== 'podman') {
+            return '';
+        }
+
+        const hostInfo = shellescape([
+            this.dockerCommand, 'info', '--format',
+            '{{.Host.Security.Rootless}} {{.Host.CgroupsVersion}}'
+        ]);
+
+        // The options are word split where they are used, none of them has a space
+        return `limits=${shellescape([limitOptions.join(' ')])}
+if [ "$(${hostInfo} 2>/dev/null)" = "true v1" ]; then
+    echo "Rootless podman cannot limit resources with cgroups v1, running without limits"
+    limits=""
+fi
+
+`;
+    }
+
+    /**
+     * Key of the dependency caches of the pipeline of the build
+     * @method _cacheKey
+     * @param  {Object}   config      A configuration object psssed to _start
+     * @return {String}               Cache key, e.g. 42 for pipeline 42
+     */
+    _cacheKey(config) {
+        return `${this.prefix}${config.pipeline.id}`;
+    }
+
+    /**
+     * Dependency cache volumes of the pipeline of the build, one for each cache path
+     * @method _cacheVolumes
+     * @param  {Object}   config      A configuration object psssed to _start
+     * @return {Array}                [{ name, path }], empty without cache paths or pipeline
+     */
+    _cacheVolumes(config) {
+        if (!(config.pipeline && config.pipeline.id)) {
+            return [];
+        }
+
+        return this.cache.paths.map((cachePath) => {
+            // Named after the path, so that a volume keeps its path when the paths change
+            const hash = crypto.createHash('sha1').update(cachePath).digest('hex').slice(0, 8);
+
+            return { name: `${this.prefix}sdcache-${config.pipeline.id}-${hash}`, path: cachePath };
+        });
+    }
+
+    /**
+     * Script taking the lock of the pipeline caches, setting the positional parameters to
+     * the cache volume options. A build of the pipeline already holding the lock keeps the
+     * caches to itself, and the others build without them
+     * @method _cacheScript
+     * @param  {Object}   config      A configuration object psssed to _start
+     * @param  {Array}    volumes     Cache volumes of the build
+     * @return {String}               Shell script, empty without cache volumes
+     */
+    _cacheScript(config, volumes) {
+        if (!volumes.length) {
+            return '';
+        }
+
+        const key = this._cacheKey(config);
+        const createVolumes = volumes.map(volume => shellescape([
+            this.dockerCommand, 'volume', 'create', '--label', `${CACHE_LABEL}=${key}`, volume.name
+        ])).join(' > /dev/null &&\n        ');
+        const volumeOptions = shellescape(_.flatMap(volumes, volume =>
+            ['--volume', `${volume.name}:${volume.path}`]));
+
+        return `# Use the dependency caches of the pipeline, one build at a time
+set --
+mkdir -p ${shellescape([this.cache.dir])}
+exec 9> ${shellescape([path.join(this.cache.dir, `${key}.lock`)])}
+if flock -n 9; then
+    touch ${shellescape([path.join(this.cache.dir, `${key}.used`)])}
+    if ! {
+        ${createVolumes} > /dev/null
+    }; then
+        echo "${FAILURE_MARKER}: IMAGE_PULL: could not create the dependency cache volumes"
+        exit ${FAILURE_EXIT_CODES.IMAGE_PULL}
+    fi
+    set -- ${volumeOptions}
+else
+    echo "The dependency caches are used by another build of the pipeline, building without them"
+fi
+
+`;
+    }
+
+    /**
+     * Script removing the dependency caches of the least recently used pipelines while the
+     * caches on the agent are larger than the maximum size. Caches a build holds are kept
+     * @method _cacheEvictionScript
+     * @return {String}               Shell script, empty without cache paths
+     */
+    _cacheEvictionScript() {
+        if (!this.cache.paths.length) {
+            return '';
+        }
+
+        const cacheDir = shellescape([this.cache.dir]);
+        const listVolumes = shellescape([this.dockerCommand, 'volume', 'ls', '-q', '--filter']);
+        // The launcher image has du, and is on the agent already
+        const measureVolumes = [
+            shellescape([this.dockerCommand, 'run', '--rm']),
+            '$mounts',
+            shellescape(['--entrypoint', 'du', this._runtimeImage(this._launcherImage())]),
+            '-sm /cache'
+        ].join(' ');
+        const removeVolumes = shellescape([this.dockerCommand, 'volume', 'rm']);
+
+        return `
+# Remove the least recently used dependency caches over ${this.cache.maxSize} MB
+mkdir -p ${cacheDir}
+exec 8> ${cacheDir}/evict.lock
+if flock -n 8; then
+    cache_size=0
+    for key in $(ls -t ${cacheDir} | sed -n 's/\\.used$//p'); do
+        volumes="$(${listVolumes} "label=${CACHE_LABEL}=$key")" || continue
+        mounts=""
+        for volume in $volumes; do
+            mounts="$mounts --volume $volume:/cache/$volume"
+        done
+        size="$(${measureVolumes} | cut -f1)" || true
+        cache_size=$((cache_size + \${size:-0}))
+        if [ "$cache_size" -gt ${this.cache.maxSize} ]; then
+            exec 7> ${cacheDir}/"$key.lock"
+            if flock -n 7; then
+                rm -f ${cacheDir}/"$key.used"
+                ${removeVolumes} $volumes > /dev/null || true
+                cache_size=$((cache_size - \${size:-0}))
+            fi
+            exec 7>&-
+        fi
+    done
+fi
+exec 8>&-
+`;
+    }
+
+    /**
+     * Launcher image, pinned by digest when the launch version is one
+     * @method _launcherImage
+     * @return {String}               Image reference, e.g. screwdrivercd/launcher:stable
+     */
+    _launcherImage() {
+        const separator = /^sha256:/.test(this.launchVersion) ? '@' : ':';
+
+        return `${this.launchImage}${separator}${this.launchVersion}`;
+    }
+
+    /**
+     * Image reference as the container runtime resolves it. Podman does not resolve short names
+     * like docker does without asking, so they are qualified with Docker Hub
+     * @method _runtimeImage
+     * @param  {String}   image       Image reference, e.g. node:8
+     * @return {String}               Image reference, e.g. docker.io/library/node:8 for podman
+     */
+    _runtimeImage(image) {
+        if (this.runtime !== 'podman') {
+            return image;
+        }
+
+        const parts = image.split('/');
+
+        // The first part names a registry when it has a dot or port, or is localhost
+        if (parts.length > 1 && (/[.:]/.test(parts[0]) || parts[0] === 'localhost')) {
+            return image;
+        }
+
+        return parts.length === 1 ? `docker.io/library/${image}` : `docker.io/${image}`;
+    }
+
+    /**
+     * Script pulling the image as the pull policy says
+     * @method _pullImageScript
+     * @param  {String}   image       Image reference
+     * @return {String}               Shell command, empty when the image is never pulled
+     */
+    _pullImageScript(image) {
+        const pullImage = shellescape([this.dockerCommand, 'pull', image]);
+
+        if (this.pullPolicy === 'never') {
+            return '';
+        }
+
+        if (this.pullPolicy === 'if-not-present') {
+            const inspectImage = this.runtime === 'podman' ?
+                shellescape([this.dockerCommand, 'image', 'exists', image]) :
+                `${shellescape([this.dockerCommand, 'image', 'inspect', image])} > /dev/null 2>&1`;
+
+            return `( ${inspectImage} || ${pullImage} )`;
+        }
+
+        return pullImage;
+    }
+
+    /**
+     * Script logging in to the private registries with a docker config of the build only,
+     * reading the logins from the variables the job binds the registry credentials to
+     * @method _registryLoginScript
+     * @return {String}               Shell script, empty without registries
+     */
+    _registryLoginScript() {
+        if (!this.registries.length) {
+            return '';
+        }
+
+        // A failed login fails the pulls, so it is reported like them
+        const logins = this.registries.map((registry, index) => `if ! ${[
+            `printf '%s\\n' "$SD_REGISTRY_PASSWORD_${index}" |`,
+            shellescape([this.dockerCommand, 'login']),
+            `--username "$SD_REGISTRY_USER_${index}" --password-stdin`,
+            shellescape([registry.host]),
+            '> /dev/null'
+        ].join(' ')}; then
+    echo ${shellescape([`${FAILURE_MARKER}: IMAGE_PULL: could not log in to ${registry.host}`])}
+    exit ${FAILURE_EXIT_CODES.IMAGE_PULL}
+fi`);
+
+        // Podman keeps the logins in an auth file instead of a docker config
+        const loginFile = this.runtime === 'podman' ?
+            `REGISTRY_AUTH_FILE="${DOCKER_CONFIG_DIR}/auth.json"` :
+            `DOCKER_CONFIG="${DOCKER_CONFIG_DIR}"`;
+
+        return `# Log in to the private registries
+export ${loginFile}
+rm -rf "${DOCKER_CONFIG_DIR}"
+mkdir -p -m 700 "${DOCKER_CONFIG_DIR}"
+${logins.join('\n')}
+
+`;
+    }
+
     /**
      * Jenkins job name
      * @method _jobName
@@ -258,6 +2279,28 @@ ${stopContainer}
         return `SD-${buildId}`;
     }
 
+    /**
+     * ID of the Jenkins credential holding the build token
+     * @method _tokenCredentialId
+     * @param  {String}   buildId     ID for the build
+     * @return {String}               Jenkins credential ID
+     */
+    _tokenCredentialId(buildId) {
+        return `${this._jobName(buildId)}-token`;
+    }
+
+    /**
+     * ID of the Jenkins credential holding the login to the registry
+     * @method _registryCredentialId
+     * @param  {String}   buildId     ID for the build
+     * @param  {Number}   index       Index of the registry in options.docker.registries
+     * @return {String}               Jenkins credential ID
+     */
+    _registryCredentialId(buildId, index) {
+        return this.registries[index].credentialsId ||
+            `${this._jobName(buildId)}-registry-${index}`;
+    }
+
     /**
      * Constructor
      * @method constructor
@@ -265,50 +2308,159 @@ ${stopContainer}
      * @param  {Object} options.ecosystem                              Screwdriver Ecosystem
      * @param  {Object} options.ecosystem.api                          Routable URI to Screwdriver API
      * @param  {Object} options.ecosystem.store                        Routable URI to Screwdriver Store
+     * @param  {Object|Array} options.jenkins                         Jenkins controller, or a list of controllers to balance builds across
+     * @param  {String} [options.jenkins.protocol='http']            Protocol to make requests with: http or https
      * @param  {String} options.jenkins.host                           Jenkins hostname to make requests to
-     * @param  {Number} [options.jenkins.port=8080]                    Jenkins port to make requests to
+     * @param  {Number} [options.jenkins.port=8080]                    Jenkins port to make requests to, 443 for https
+     * @param  {String} [options.jenkins.pathPrefix='']                Path Jenkins is served under, e.g. /jenkins
      * @param  {String} [options.jenkins.username='screwdriver']       Jenkins username
-     * @param  {String} options.jenkins.password                       Jenkins password/token
+     * @param  {String} options.jenkins.token                          Jenkins API token, sent in the Authorization header
+     * @param  {String} [options.jenkins.password]                     Jenkins password, used when no token is given
+     * @param  {String} [options.jenkins.ca]                           CA bundle (PEM) to trust for https
+     * @param  {String} [options.jenkins.cert]                         Client certificate (PEM) for https
+     * @param  {String} [options.jenkins.key]                          Private key (PEM) of the client certificate
+     * @param  {Boolean} [options.jenkins.rejectUnauthorized=true]     Reject a server certificate the CA bundle does not trust
      * @param  {String} [options.jenkins.nodeLabel='screwdriver']      Jenkins slave node label
-     * @param  {String} [options.docker.command='docker']              Path to the docker command
-     * @param  {String} [options.docker.launchVersion='stable']        Launcher container version to use
+     * @param  {Array}  [options.allowedNodeLabels=[]]                 Node labels or label expressions builds may ask for
+     * @param  {Number} [options.buildTimeout=90]                      Build timeout (minutes) when the build does not ask for one
+     * @param  {Number} [options.maxBuildTimeout=120]                  Maximum build timeout (minutes) a build may ask for
+     * @param  {String} [options.docker.runtime='docker']              Container runtime the script is written for: docker or podman
+     * @param  {String} [options.docker.command=options.docker.runtime]  Path to the docker or podman command
+     * @param  {String} [options.docker.launchImage='screwdrivercd/launcher']  Launcher image repository, e.g. on a mirror registry
+     * @param  {String} [options.docker.launchVersion='stable']        Launcher container version to use, a tag or a sha256: digest
+     * @param  {String} [options.docker.pullPolicy='always']           When to pull the images: always, if-not-present or never
      * @param  {String} [options.docker.prefix='']                     Prefix to all container names
      * @param  {String} [options.docker.memory='4g']                   Memory limit (docker run `--memory` option)
      * @param  {String} [options.docker.memoryLimit='6g']              Memory limit include swap (docker run `--memory-swap` option)
+     * @param  {Object} [options.docker.resourceTiers={}]              Named resource tiers, e.g. { HIGH: { memory, memoryLimit, cpus, shmSize } }
+     * @param  {Object} [options.docker.env={}]                       Environment variables of the build container
+     * @param  {Array}  [options.docker.volumes=[]]                    Bind mounts and named volumes of the build container, e.g. cache:/cache
+     * @param  {Array}  [options.docker.runOptions=[]]                 Extra run options of the build container, e.g. --network=ci
+     * @param  {Array}  [options.docker.allowedEnv=[]]                 Environment variables builds may set with the screwdriver.cd/j5sEnv annotation
+     * @param  {Array}  [options.docker.allowedVolumes=[]]             Volumes builds may ask for with the screwdriver.cd/j5sVolumes annotation
+     * @param  {Array}  [options.docker.allowedRunOptions=[]]          Run option names builds may set with the screwdriver.cd/j5sRunOptions annotation
+     * @param  {Array}  [options.docker.unsafeRunOptions=[]]           Unsafe run options to enable, e.g. --privileged or --network=host
+     * @param  {Array}  [options.docker.cache.paths=[]]                Paths in the build container to keep in a dependency cache of the pipeline
+     * @param  {Number} [options.docker.cache.maxSize=10240]           Size (MB) of the dependency caches on an agent before the least recently used are removed
+     * @param  {String} [options.docker.cache.dir='/tmp/sd-cache']     Directory on the agent keeping the locks and last uses of the dependency caches
+     * @param  {Array}  [options.docker.registries=[]]                 Private registries to log in to: [{ host, username, password }] or [{ host, credentialsId }]
+     * @param  {String} [options.jobTemplate='freestyle']              Job template: freestyle (Post build task plugin) or pipeline
+     * @param  {String} [options.jobTemplateFile]                      Path to a custom job template, rendered like options.jobTemplate
+     * @param  {String} [options.jobTemplateXml]                       Custom job template, rendered like options.jobTemplate
      * @param  {String} [options.buildScript]                          Shell script to start the job
      * @param  {String} [options.cleanupScript='']                     Shell script to clean up the job
      * @param  {Number} [options.cleanupTimeLimit=20]                  Time to destory the job(seconds)
      * @param  {Number} [options.cleanupWatchInterval=2]               Interval to detect the stopped job (seconds)
+     * @param  {Number} [options.startTimeLimit=30]                    Time to wait for the queued build to start (seconds)
+     * @param  {Number} [options.startWatchInterval=2]                 Interval to detect the started build (seconds)
+     * @param  {Number} [options.logWatchInterval=2]                   Interval to read more of the console in logStream (seconds)
+     * @param  {Object} [options.buildStore]                           Store of the build records ({ get, set, remove } returning promises), in memory by default
+     * @param  {Boolean} [options.tokenCredentials=false]              Pass the build token through a Jenkins credential instead of a build parameter
      * @param  {String} [options.fusebox]                              Options for the circuit breaker (https://github.com/screwdriver-cd/circuit-fuses)
+     * @param  {Number} [options.retry.retries=3]                      Retries of a job create, update or build failing with a transient error
+     * @param  {Number} [options.retry.factor=2]                       Exponential factor of the time between retries
+     * @param  {Number} [options.retry.minTimeout=1000]                Time before the first retry (ms), randomized down to half
+     * @param  {Number} [options.retry.maxTimeout=10000]               Maximum time between retries (ms)
      */
     constructor(options) {
         super();
+        EventEmitter.call(this);
+        this.measurements = new Metrics();
         this.ecosystem = options.ecosystem;
-        this.host = options.jenkins.host;
-        this.port = options.jenkins.port || '8080';
-        this.username = options.jenkins.username || 'screwdriver';
-        this.password = options.jenkins.password;
-        this.nodeLabel = options.jenkins.nodeLabel || 'screwdriver';
-        this.dockerCommand = (options.docker && options.docker.command) || 'docker';
+        this.retry = Object.assign({ retries: 3, factor: 2, minTimeout: 1000, maxTimeout: 10000 },
+            options.retry);
+        this.controllers = [].concat(options.jenkins).map(jenkinsOptions =>
+            this._createController(jenkinsOptions, options.fusebox));
+        // Controller and Jenkins build of each build, so stop and stats go to the same host
+        this.buildStore = options.buildStore || new MemoryBuildStore();
+
+        // The first controller is the default one
+        this.host = this.controllers[0].host;
+        this.port = this.controllers[0].port;
+        this.username = this.controllers[0].username;
+        this.password = this.controllers[0].password;
+        this.nodeLabel = this.controllers[0].nodeLabel;
+        this.baseUrl = this.controllers[0].baseUrl;
+        this.jenkinsClient = this.controllers[0].jenkinsClient;
+        this.breaker = this.controllers[0].breaker;
+        this.runtime = (options.docker && options.docker.runtime) || 'docker';
+        this.dockerCommand = (options.docker && options.docker.command) || this.runtime;
+        this.launchImage = (options.docker && options.docker.launchImage) ||
+            'screwdrivercd/launcher';
         this.launchVersion = (options.docker && options.docker.launchVersion) || 'stable';
+        this.pullPolicy = (options.docker && options.docker.pullPolicy) || 'always';
         this.prefix = (options.docker && options.docker.prefix) || '';
         this.memory = (options.docker && options.docker.memory) || '4g';
         this.memoryLimit = (options.docker && options.docker.memoryLimit) || '6g';
+        this.resourceTiers = (options.docker && options.docker.resourceTiers) || {};
+        this.registries = (options.docker && options.docker.registries) || [];
+        this.cache = Object.assign({ paths: [], maxSize: 10240, dir: '/tmp/sd-cache' },
+            options.docker && options.docker.cache);
+
+        this.env = (options.docker && options.docker.env) || {};
+        this.volumes = (options.docker && options.docker.volumes) || [];
+        this.runOptions = (options.docker && options.docker.runOptions) || [];
+        this.allowedEnv = (options.docker && options.docker.allowedEnv) || [];
+        this.allowedVolumes = (options.docker && options.docker.allowedVolumes) || [];
+        this.allowedRunOptions = (options.docker && options.docker.allowedRunOptions) || [];
+        this.unsafeRunOptions = (options.docker && options.docker.unsafeRunOptions) || [];
+
+        this.runOptions.forEach(option => checkRunOption(option, this.unsafeRunOptions));
+
+        // Docker refuses to run a container whose memory-swap is below its memory
+        Object.keys(this.resourceTiers).forEach((tierName) => {
+            const resources = this._buildResources({
+                annotations: { [RESOURCES_ANNOTATION]: tierName }
+            });
+
+            if (memoryBytes(resources.memoryLimit) < memoryBytes(resources.memory)) {
+                throw new Error(`Resource tier "${tierName}" has a memoryLimit ` +
+                    `(${resources.memoryLimit}) below its memory (${resources.memory})`);
+            }
+        });
+
+        if (RUNTIMES.indexOf(this.runtime) === -1) {
+            throw new Error(`Unknown container runtime "${this.runtime}"`);
+        }
+
+        if (PULL_POLICIES.indexOf(this.pullPolicy) === -1) {
+            throw new Error(`Unknown pull policy "${this.pullPolicy}"`);
+        }
+
+        this.registries.forEach((registry) => {
+            if (!registry.credentialsId && !(registry.username && registry.password)) {
+                throw new Error(
+                    `Registry "${registry.host}" needs a credentialsId or a username and password`);
+            }
+        });
+
+        this.jobTemplate = options.jobTemplate || 'freestyle';
+
+        if (!JOB_TEMPLATES[this.jobTemplate]) {
+            throw new Error(`Unknown job template "${this.jobTemplate}"`);
+        }
 
         this.buildScript = options.buildScript;
         this.cleanupScript = options.cleanupScript || '';
         this.cleanupTimeLimit = options.cleanupTimeLimit || 20;
         this.cleanupWatchInterval = options.cleanupWatchInterval || 2;
+        this.startTimeLimit = options.startTimeLimit || 30;
+        this.startWatchInterval = options.startWatchInterval || 2;
+        this.logWatchInterval = options.logWatchInterval || 2;
+        // When reap first saw each job without a build, by controller host and job name
+        this.unbuiltJobs = new Map();
+        this.allowedNodeLabels = options.allowedNodeLabels || [];
+        this.buildTimeout = options.buildTimeout || 90;
+        this.maxBuildTimeout = options.maxBuildTimeout || 120;
+        this.tokenCredentials = !!options.tokenCredentials;
 
-        // need to pass port number in the future
-        this.baseUrl = `http://${this.username}:${this.password}@${this.host}:${this.port}`;
-        this.jenkinsClient = jenkins({
-            baseUrl: this.baseUrl,
-            crumbIssuer: true
-        });
+        const customTemplate = options.jobTemplateFile ?
+            fs.readFileSync(path.resolve(options.jobTemplateFile), 'utf-8') :
+            options.jobTemplateXml;
 
-        // eslint-disable-next-line no-underscore-dangle
-        this.breaker = new Breaker(this._jenkinsCommand.bind(this), options.fusebox);
+        // Check the custom template once, so that a bad one does not fail every build
+        this.compiledJobTemplate = customTemplate ?
+            this._compileJobTemplate(customTemplate) : null;
     }
 
     /**
@@ -318,48 +2470,535 @@ ${stopContainer}
      * @param  {String}   config.buildId    ID for the build and also name of the job in jenkins
      * @param  {String}   config.container  Container for the build to run in
      * @param  {String}   config.token      JWT to act on behalf of the build
-     * @return {Promise}
+     * @param  {Object}   [config.annotations]  Annotations of the build, e.g. screwdriver.cd/j5sNodeLabel
+     * @return {Promise}                    Resolves to { host, jobName, queueId, buildNumber, node, url },
+     *                                      buildNumber is null when it is still queued after startTimeLimit.
+     *                                      Rejects with a JenkinsError when a Jenkins request failed
      */
     _start(config) {
         const jobName = this._jobName(config.buildId);
+        const record = {
+            host: null,
+            jobName,
+            queueId: null,
+            buildNumber: null,
+            node: null,
+            url: null
+        };
+        const startedAt = Date.now();
+        let queuedAt;
+        let controller;
 
-        return this._loadJobXml(config).then(xml =>
-            this._jenkinsJobCreateOrUpdate(jobName, xml)
-        ).then(() => {
-            const parameters = {
-                SD_BUILD_ID: String(config.buildId),
-                SD_TOKEN: config.token,
-                SD_CONTAINER: config.container,
-                SD_API: this.ecosystem.api,
-                SD_STORE: this.ecosystem.store
-            };
+        this._emitEvent('startRequested', { buildId: config.buildId, jobName });
 
-            return this.breaker.runCommand({
-                module: 'job',
-                action: 'build',
-                params: [{ name: jobName, parameters }]
+        return Promise.resolve()
+            .then(() => {
+                // Reject an unknown tier or a disallowed option before anything is created on Jenkins
+                this._buildResources(config);
+                this._buildRunArguments(config);
+                this._buildServices(config);
+
+                return this._selectController(this._buildNodeLabel(config));
+            })
+            .then((selected) => {
+                controller = selected;
+                record.host = controller.host;
+
+                return this.buildStore.set(config.buildId, record);
+            })
+            .then(() => this._jenkinsCredentialsCreate(controller, config))
+            .then(() => this._loadJobXml(config, controller))
+            .then(xml => this._jenkinsJobCreateOrUpdate(controller, jobName, xml))
+            .then(() => this._jenkinsJobBuild(controller, jobName, this._buildParameters(config)))
+            .then((queueId) => {
+                // The client resolves to nothing when Jenkins did not say where it queued it
+                if (!queueId) {
+                    return null;
+                }
+
+                record.queueId = queueId;
+                queuedAt = Date.now();
+                this._emitEvent('queued', {
+                    buildId: config.buildId,
+                    jobName,
+                    host: controller.host,
+                    queueId,
+                    duration: queuedAt - startedAt
+                });
+
+                // Jenkins has the build now, so failing to follow it does not fail the start
+                return this._jenkinsQueueWaitBuild(controller, queueId, 0)
+                    .then((item) => {
+                        if (!(item && item.executable)) {
+                            return null;
+                        }
+
+                        record.buildNumber = item.executable.number;
+                        record.url = item.executable.url;
+
+                        return controller.breaker.runCommand({
+                            module: 'build',
+                            action: 'get',
+                            params: [{ name: jobName, number: record.buildNumber }]
+                        }).then((build) => {
+                            const now = Date.now();
+
+                            // An empty builtOn means the Jenkins master itself
+                            record.node = build.builtOn || 'master';
+                            this.measurements.observe('j5s_build_queue_duration_seconds',
+                                { host: controller.host }, (now - queuedAt) / 1000);
+                            this._emitEvent('running', {
+                                buildId: config.buildId,
+                                jobName,
+                                host: controller.host,
+                                buildNumber: record.buildNumber,
+                                node: record.node,
+                                queueDuration: now - queuedAt,
+                                duration: now - startedAt
+                            });
+                        });
+                    })
+                    .catch(() => null);
+            })
+            .then(() => this.buildStore.set(config.buildId, record))
+            .then(() => Object.assign({}, record))
+            .catch((err) => {
+                const error = toExecutorError(err, { jobName, buildId: config.buildId });
+
+                this._emitEvent('failed', {
+                    buildId: config.buildId,
+                    jobName,
+                    operation: 'start',
+                    error,
+                    duration: Date.now() - startedAt
+                });
+
+                // Nothing was saved before a controller was picked
+                if (!controller) {
+                    throw error;
+                }
+
+                // Nothing runs the build, and reap only finds credentials through their job.
+                // A job left behind is still found on the controllers without its record
+                return this._jenkinsCredentialsDestroy(controller, config.buildId)
+                    .catch(() => null)
+                    .then(() => this.buildStore.remove(config.buildId))
+                    .catch(() => null)
+                    .then(() => {
+                        throw error;
+                    });
             });
-        });
     }
 
     /**
-     * Stop the build
+     * Stop the build, whether it is queued or running, and remove its job
      * @method _stop
      * @param  {Object}   config            A configuration object
      * @param  {String}   config.buildId    ID for the build
-     * @return {Promise}
+     * @return {Promise}                    Resolves to { jobName, queueId, buildNumber, state, signals }.
+     *                                      Rejects with a JenkinsError when a Jenkins request failed
      */
     _stop(config) {
         const jobName = this._jobName(config.buildId);
+        const startedAt = Date.now();
 
-        return this._jenkinsJobStop(
-            jobName
-        ).then(() => this.breaker.runCommand({
-            module: 'job',
-            action: 'destroy',
-            params: [{ name: jobName }]
-        }));
+        this._emitEvent('stopRequested', { buildId: config.buildId, jobName });
+
+        return this._buildRecord(config.buildId).then((record) => {
+            const controller = _.find(this.controllers, { host: record.host });
+            let result;
+
+            return this._jenkinsJobStop(controller, jobName, record.buildNumber)
+                .then((stopped) => {
+                    result = stopped;
+
+                    return controller.breaker.runCommand({
+                        module: 'job',
+                        action: 'destroy',
+                        params: [{ name: jobName }]
+                    });
+                })
+                .then(() => this._jenkinsCredentialsDestroy(controller, config.buildId))
+                .then(() => this.buildStore.remove(config.buildId))
+                .then(() => {
+                    this._emitEvent('destroyed', {
+                        buildId: config.buildId,
+                        jobName,
+                        host: controller.host,
+                        state: result.state,
+                        duration: Date.now() - startedAt
+                    });
+
+                    return result;
+                });
+        }).catch((err) => {
+            const error = toExecutorError(err, { jobName, buildId: config.buildId });
+
+            this._emitEvent('failed', {
+                buildId: config.buildId,
+                jobName,
+                operation: 'stop',
+                error,
+                duration: Date.now() - startedAt
+            });
+            throw error;
+        });
+    }
+
+    /**
+     * Get the statistics of the executor, or of the build when a buildId is given
+     * @method stats
+     * @param  {Object}   [config]          A configuration object
+     * @param  {String}   [config.buildId]  ID for the build
+     * @return {Object|Promise}             Without a buildId, the circuit breaker stats of the first
+     *                                      controller as the base executor returns them, and of each
+     *                                      controller as controllers. With a buildId, a Promise, see _stats
+     */
+    stats(config) {
+        if (!config || !config.buildId) {
+            return Object.assign({}, this.controllers[0].breaker.stats(), {
+                controllers: this.controllers.map(controller =>
+                    Object.assign({ host: controller.host }, controller.breaker.stats()))
+            });
+        }
+
+        return this._stats(config);
+    }
+
+    /**
+     * Get the queue and node status of the build from Jenkins
+     * @method _stats
+     * @param  {Object}   config            A configuration object
+     * @param  {String}   config.buildId    ID for the build
+     * @return {Promise}                    Resolves to { jobName, host, status, queuePosition,
+     *                                      queueReason, buildNumber, result, failure, node }.
+     *                                      Rejects with a JenkinsError when a Jenkins request failed
+     */
+    _stats(config) {
+        const jobName = this._jobName(config.buildId);
+        const stats = {
+            jobName,
+            host: null,
+            status: 'UNKNOWN',
+            queuePosition: null,
+            queueReason: null,
+            buildNumber: null,
+            result: null,
+            failure: null,
+            node: null
+        };
+
+        let controller;
+
+        return this._controllerFor(config.buildId).then((found) => {
+            controller = found;
+            stats.host = controller.host;
+
+            return controller.breaker.runCommand({
+                module: 'job',
+                action: 'get',
+                params: [{ name: jobName }]
+            });
+        }).then((data) => {
+            if (data && data.inQueue && data.queueItem) {
+                stats.status = 'QUEUED';
+                stats.queueReason = data.queueItem.why || null;
+
+                return this._jenkinsQueuePosition(controller, data.queueItem.id)
+                    .then((position) => {
+                        stats.queuePosition = position;
+
+                        return stats;
+                    });
+            }
+
+            if (!(data && data.lastBuild && data.lastBuild.number)) {
+                return stats;
+            }
+
+            return controller.breaker.runCommand({
+                module: 'build',
+                action: 'get',
+                params: [{ name: jobName, number: data.lastBuild.number }]
+            }).then((build) => {
+                stats.buildNumber = data.lastBuild.number;
+                stats.status = build.building ? 'RUNNING' : 'FINISHED';
+                stats.result = build.result || null;
+                // An empty builtOn means the Jenkins master itself
+                stats.node = build.builtOn || 'master';
+
+                if (build.building || build.result === 'SUCCESS') {
+                    return stats;
+                }
+
+                return this._jenkinsBuildFailure(controller, jobName, build).then((failure) => {
+                    stats.failure = failure;
+
+                    if (failure === 'TIMEOUT') {
+                        stats.result = 'TIMEOUT';
+                    }
+
+                    return stats;
+                });
+            });
+        }).catch((err) => {
+            throw toExecutorError(err, { jobName, buildId: config.buildId });
+        });
+    }
+
+    /**
+     * Remove the jobs of builds that were never stopped, e.g. when the API crashed
+     * @method reap
+     * @param  {Object}   [config]                  A configuration object
+     * @param  {Number}   [config.olderThan=60]     Remove jobs whose last build finished more than this many minutes ago,
+     *                                              or that an earlier reap saw without a build that long ago
+     * @param  {Array}    [config.buildIds]         IDs of the builds the caller knows about, jobs of other builds are removed
+     * @param  {Boolean}  [config.dryRun=false]     Only report what would be removed
+     * @return {Promise}                            Resolves to { dryRun, removed: [{ jobName, buildId, host, reason }],
+     *                                              failed: [{ jobName, buildId, host, message }] },
+     *                                              jobName and buildId are null when the controller could not be reaped
+     */
+    reap(config) {
+        const options = Object.assign({ olderThan: 60, dryRun: false }, config);
+        const knownBuildIds = options.buildIds ? options.buildIds.map(String) : null;
+        const finishedBefore = Date.now() - (options.olderThan * 60 * 1000);
+        const report = { dryRun: options.dryRun, removed: [], failed: [] };
+
+        return Promise.all(this.controllers.map(controller =>
+            this._jenkinsJobList(controller).then((jobs) => {
+                const unbuilt = jobs.filter(job => !job.inQueue && !job.lastBuild)
+                    .map(job => `${controller.host}/${job.name}`);
+
+                // Forget the jobs that got a build or were removed since they were seen
+                Array.from(this.unbuiltJobs.keys())
+                    .filter(key => key.indexOf(`${controller.host}/`) === 0 &&
+                        unbuilt.indexOf(key) === -1)
+                    .forEach(key => this.unbuiltJobs.delete(key));
+
+                return jobs;
+            }).then(jobs => Promise.all(jobs.map((job) => {
+                const lastBuild = job.lastBuild;
+                const running = job.inQueue || !!(lastBuild && lastBuild.building);
+                const key = `${controller.host}/${job.name}`;
+                let reason = null;
+
+                if (knownBuildIds && knownBuildIds.indexOf(job.buildId) === -1) {
+                    reason = 'UNKNOWN';
+                } else if (!running && lastBuild &&
+                    lastBuild.timestamp + lastBuild.duration < finishedBefore) {
+                    reason = 'FINISHED';
+                } else if (!running && !lastBuild) {
+                    // Jenkins does not tell when a job was created, so the age counts from
+                    // the first reap that saw it, e.g. after the API crashed in the middle of start
+                    if (!this.unbuiltJobs.has(key)) {
+                        this.unbuiltJobs.set(key, Date.now());
+                    } else if (this.unbuiltJobs.get(key) <= finishedBefore) {
+                        reason = 'NEVER_BUILT';
+                    }
+                }
+
+                if (!reason) {
+                    return null;
+                }
+
+                const entry = { jobName: job.name, buildId: job.buildId, host: controller.host };
+
+                if (options.dryRun) {
+                    report.removed.push(Object.assign({ reason }, entry));
+
+                    return null;
+                }
+
+                // Stopping lets the cleanup script of the job remove its containers
+                return (running ? this._jenkinsJobStop(controller, job.name) : Promise.resolve())
+                    .then(() => controller.breaker.runCommand({
+                        module: 'job',
+                        action: 'destroy',
+                        params: [{ name: job.name }]
+                    }))
+                    .then(() => this._jenkinsCredentialsDestroy(controller, job.buildId))
+                    .then(() => {
+                        this.unbuiltJobs.delete(key);
+                        report.removed.push(Object.assign({ reason }, entry));
+
+                        return this.buildStore.remove(job.buildId);
+                    }, (err) => {
+                        report.failed.push(Object.assign({ message: err.message }, entry));
+                    });
+            }))).catch((err) => {
+                // The other controllers are still reaped, this one is reported as a whole
+                report.failed.push({
+                    message: err.message,
+                    jobName: null,
+                    buildId: null,
+                    host: controller.host
+                });
+            })
+        )).then(() => report);
+    }
+
+    /**
+     * Check that every Jenkins controller can run builds: it answers to the credentials of the
+     * executor, has the plugins of the job template, and has online agents with its node label
+     * @method healthCheck
+     * @return {Promise}                    Resolves to { healthy, controllers: [{ host, healthy, version, nodeLabel,
+     *                                      missingPlugins, agents: { online, offline }, executors: { free, busy },
+     *                                      problems }] }
+     */
+    healthCheck() {
+        return Promise.all(this.controllers.map(controller => this._controllerHealth(controller)))
+            .then(controllers => ({
+                healthy: controllers.every(controller => controller.healthy),
+                controllers
+            }));
+    }
+
+    /**
+     * Stream the Jenkins console of the build, e.g. when the launcher could not log to the store
+     * @method logStream
+     * @param  {Object}   config            A configuration object
+     * @param  {String}   config.buildId    ID for the build
+     * @param  {String}   [config.token]    Build token, masked as *** like the registry passwords
+     * @return {Promise}                    Resolves to a readable stream of the console text, ending with the build,
+     *                                      or with a SD_LOG_STREAM_ERROR line when Jenkins could not be read.
+     *                                      Rejects with a BuildNotStartedError when Jenkins has not started the build
+     */
+    logStream(config) {
+        if (!config || !config.buildId) {
+            return Promise.reject(new Error('buildId is required'));
+        }
+
+        const jobName = this._jobName(config.buildId);
+        const context = { jobName, buildId: config.buildId };
+
+        return this._jenkinsBuildNumber(config.buildId).then((build) => {
+            const output = {
+                stream: new stream.Readable({ read() {} }),
+                secrets: this._buildSecrets(config),
+                start: 0,
+                partial: ''
+            };
+
+            this._jenkinsLogPoll(build.controller, jobName, build.number, output).catch((err) => {
+                // Nobody may listen for errors on the stream, e.g. when it is piped to a response
+                if (!output.stream.destroyed) {
+                    const error = toExecutorError(err, context);
+
+                    output.stream.push(`${redact(output.partial, output.secrets)}\n` +
+                        `${LOG_STREAM_ERROR_MARKER}: ${error.name}: ${error.message}\n`);
+                    output.stream.push(null);
+                }
+            });
+
+            return output.stream;
+        }).catch((err) => {
+            throw toExecutorError(err, context);
+        });
+    }
+
+    /**
+     * Upload the tail of the Jenkins console to the store as the log of the infrastructure step,
+     * when the build failed before the launcher could log anything
+     * @method infrastructureLog
+     * @param  {Object}   config              A configuration object
+     * @param  {String}   config.buildId      ID for the build
+     * @param  {String}   config.token        Build token, to upload to the store. Masked as *** in the log
+     * @param  {Number}   [config.lines=200]  Lines of the console to upload
+     * @return {Promise}                      Resolves to { uploaded, failure, lines }
+     */
+    infrastructureLog(config) {
+        if (!config || !config.buildId || !config.token) {
+            return Promise.reject(new Error('buildId and token are required'));
+        }
+
+        const jobName = this._jobName(config.buildId);
+        const count = config.lines || 200;
+
+        return this._stats(config).then((stats) => {
+            if (PRE_LAUNCHER_FAILURES.indexOf(stats.failure) === -1) {
+                return { uploaded: false, failure: stats.failure, lines: 0 };
+            }
+
+            return _.find(this.controllers, { host: stats.host }).breaker.runCommand({
+                module: 'build',
+                action: 'log',
+                params: [{ name: jobName, number: stats.buildNumber }]
+            }).then((log) => {
+                const lines = redact(log || '', this._buildSecrets(config)).replace(/\n$/, '')
+                    .split('\n');
+                const tail = [
+                    `Console of ${jobName} #${stats.buildNumber} on ${stats.host}, ` +
+                    `the build failed before the launcher started (${stats.failure})`
+                ].concat(_.takeRight(lines, count));
+
+                return this._storeLogUpload(config, INFRASTRUCTURE_STEP, tail)
+                    .then(() => ({ uploaded: true, failure: stats.failure, lines: tail.length }));
+            });
+        }).catch((err) => {
+            throw toExecutorError(err, { jobName, buildId: config.buildId });
+        });
+    }
+
+    /**
+     * Render the job of a build as it would be created on Jenkins, without touching Jenkins.
+     * The build token and registry passwords are masked as ***
+     * @method render
+     * @param  {Object}   config            A configuration object, as passed to start
+     * @return {Promise}                    Resolves to { jobName, xml, buildScript, cleanupScript, parameters }
+     */
+    render(config) {
+        // Jobs go to the first controller when there is no Jenkins to ask for idle executors
+        const controller = this.controllers[0];
+        const secrets = this._buildSecrets(config);
+
+        return Promise.resolve()
+            .then(() => {
+                this._buildResources(config);
+                this._buildRunArguments(config);
+                this._buildServices(config);
+
+                return this._loadJobXml(config, controller);
+            })
+            .then((xml) => {
+                const scripts = this._taskScript(config);
+                const parameters = this._buildParameters(config);
+
+                return {
+                    jobName: this._jobName(config.buildId),
+                    xml: redact(xml, secrets),
+                    buildScript: redact(scripts.buildScript, secrets),
+                    cleanupScript: redact(scripts.cleanupScript, secrets),
+                    parameters: _.mapValues(parameters, value =>
+                        (typeof value === 'string' ? redact(value, secrets) : value))
+                };
+            });
+    }
+
+    /**
+     * Snapshot of the Jenkins requests, circuit breakers and build events
+     * in the Prometheus text format, for the hosting API to expose
+     * @method metrics
+     * @return {String}
+     */
+    metrics() {
+        return this.measurements.render(this.controllers.map(controller => ({
+            name: 'j5s_circuit_breaker_open',
+            labels: { host: controller.host },
+            // Half-open lets requests through, so it does not count as open
+            value: isFuseOpen(controller) ? 1 : 0
+        })));
     }
 }
 
-module.exports = J5sExecutor;
+// The executor already extends the base Executor, so lifecycle events are mixed in
+Object.assign(J5sExecutor.prototype, EventEmitter.prototype);
+
+module.exports = Object.assign(J5sExecutor, {
+    ExecutorError,
+    BuildNotStartedError,
+    JenkinsError,
+    JenkinsAuthError,
+    JenkinsNotFoundError,
+    JenkinsUnavailableError,
+    CircuitOpenError
+});
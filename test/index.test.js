@@ -1,6 +1,7 @@
 'use strict';
 
 const assert = require('chai').assert;
+const EventEmitter = require('events');
 const sinon = require('sinon');
 const mockery = require('mockery');
 const fs = require('fs');
@@ -13,6 +14,8 @@ sinon.assert.expose(assert, { prefix: '' });
 
 const configPath = path.resolve(__dirname, '../config/job.xml');
 const TEST_XML = fs.readFileSync(configPath, 'utf-8');
+const pipelineConfigPath = path.resolve(__dirname, '../config/pipeline-job.xml');
+const PIPELINE_XML = fs.readFileSync(pipelineConfigPath, 'utf-8');
 
 describe('index', () => {
     let executor;
@@ -21,6 +24,7 @@ describe('index', () => {
     let jenkinsMock;
     let breakerMock;
     let BreakerFactory;
+    let requestMock;
     let compiledJobXml;
 
     const config = {
@@ -102,7 +106,10 @@ describe('index', () => {
 
         BreakerFactory = sinon.stub().returns(breakerMock);
 
+        requestMock = sinon.stub();
+
         mockery.registerMock('fs', fsMock);
+        mockery.registerMock('request', requestMock);
         mockery.registerMock('circuit-fuses', BreakerFactory);
 
         // eslint-disable-next-line global-require
@@ -123,7 +130,10 @@ describe('index', () => {
         compiledJobXml = _.template(TEST_XML)({
             nodeLabel: xmlescape(nodeLabel),
             buildScript: xmlescape(buildScript),
-            cleanupScript: xmlescape(cleanupScript)
+            cleanupScript: xmlescape(cleanupScript),
+            jenkinsTimeout: 95,
+            tokenCredentialId: null,
+            registryCredentials: []
         });
     });
 
@@ -244,6 +254,392 @@ describe('index', () => {
             });
         });
 
+        it('updates the job when it was created since it was found missing', () => {
+            const error = new Error('a job already exists with the name "SD-1993"');
+
+            error.statusCode = 400;
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            breakerMock.runCommand.withArgs(existsOpts).onFirstCall().resolves(false);
+            breakerMock.runCommand.withArgs(existsOpts).onSecondCall().resolves(true);
+            breakerMock.runCommand.withArgs(createOpts).rejects(error);
+
+            return executor.start(config).then(() => {
+                assert.calledWith(breakerMock.runCommand, configOpts);
+                assert.calledWith(breakerMock.runCommand, buildOpts);
+            });
+        });
+
+        it('fails with the error of a create Jenkins refused for another reason', () => {
+            const error = new Error('jenkins: job.create: bad request');
+
+            error.statusCode = 400;
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            breakerMock.runCommand.withArgs(existsOpts).resolves(false);
+            breakerMock.runCommand.withArgs(createOpts).rejects(error);
+
+            return executor.start(config).then(() => {
+                throw new Error('Should not get here');
+            }, (err) => {
+                assert.strictEqual(err.statusCode, 400);
+                assert.strictEqual(err.message, 'jenkins: job.create: bad request');
+                assert.calledTwice(breakerMock.runCommand.withArgs(existsOpts));
+                assert.neverCalledWith(breakerMock.runCommand, configOpts);
+            });
+        });
+
+        describe('retry', () => {
+            const transientError = (statusCode) => {
+                const error = new Error('bad gateway');
+
+                error.statusCode = statusCode;
+
+                return error;
+            };
+
+            beforeEach(() => {
+                executor.retry = { retries: 2, factor: 2, minTimeout: 1, maxTimeout: 2 };
+                fsMock.readFile.yieldsAsync(null, TEST_XML);
+                breakerMock.runCommand.withArgs(existsOpts).resolves(false);
+            });
+
+            it('retries transient errors of job.create and job.build', () => {
+                const networkError = new Error('socket hang up');
+                const createStub = breakerMock.runCommand.withArgs(createOpts);
+                const buildStub = breakerMock.runCommand.withArgs(buildOpts);
+
+                networkError.code = 'ECONNRESET';
+                createStub.onFirstCall().rejects(transientError(503));
+                createStub.onSecondCall().resolves();
+                buildStub.onFirstCall().rejects(networkError);
+                buildStub.onSecondCall().rejects(transientError(502));
+                buildStub.onThirdCall().resolves();
+
+                return executor.start(config).then(() => {
+                    assert.calledTwice(createStub);
+                    assert.calledThrice(buildStub);
+                });
+            });
+
+            it('does not queue the build again when Jenkins queued it before the error', () => {
+                const getStub = breakerMock.runCommand.withArgs({
+                    module: 'job',
+                    action: 'get',
+                    params: [{ name: jobName }]
+                });
+
+                getStub.onFirstCall().resolves({ inQueue: false, lastBuild: null });
+                getStub.onSecondCall().resolves({ inQueue: true, queueItem: { id: 7 } });
+                breakerMock.runCommand.withArgs(buildOpts).rejects(transientError(504));
+                breakerMock.runCommand.withArgs(sinon.match({ module: 'queue', action: 'item' }))
+                    .resolves({ id: 7, cancelled: true });
+
+                return executor.start(config).then((result) => {
+                    assert.strictEqual(result.queueId, 7);
+                    assert.calledOnce(breakerMock.runCommand.withArgs(buildOpts));
+                });
+            });
+
+            it('does not queue the build again when Jenkins started it before the error', () => {
+                const getStub = breakerMock.runCommand.withArgs({
+                    module: 'job',
+                    action: 'get',
+                    params: [{ name: jobName }]
+                });
+
+                getStub.onFirstCall().resolves({ inQueue: false, lastBuild: { number: 1 } });
+                getStub.onSecondCall().resolves({ inQueue: false, lastBuild: { number: 2 } });
+                breakerMock.runCommand.withArgs(buildOpts).rejects(transientError(502));
+
+                return executor.start(config).then((result) => {
+                    assert.isNull(result.queueId);
+                    assert.calledOnce(breakerMock.runCommand.withArgs(buildOpts));
+                });
+            });
+
+            it('queues the build again when Jenkins has not seen it', () => {
+                const getStub = breakerMock.runCommand.withArgs({
+                    module: 'job',
+                    action: 'get',
+                    params: [{ name: jobName }]
+                });
+                const buildStub = breakerMock.runCommand.withArgs(buildOpts);
+
+                getStub.resolves({ inQueue: false, lastBuild: { number: 1 } });
+                buildStub.onFirstCall().rejects(transientError(502));
+                buildStub.onSecondCall().resolves();
+
+                return executor.start(config).then(() => {
+                    assert.calledTwice(getStub);
+                    assert.calledTwice(buildStub);
+                });
+            });
+
+            it('retries a request the circuit breaker timed out', () => {
+                const buildStub = breakerMock.runCommand.withArgs(buildOpts);
+
+                buildStub.onFirstCall().rejects(new Error('CircuitBreaker timeout'));
+                buildStub.onSecondCall().resolves();
+
+                return executor.start(config).then(() => {
+                    assert.calledTwice(buildStub);
+                });
+            });
+
+            it('gives up after the retries', () => {
+                breakerMock.runCommand.withArgs(buildOpts).rejects(transientError(504));
+
+                return executor.start(config).then(() => {
+                    throw new Error('Should not get here');
+                }, (err) => {
+                    assert.strictEqual(err.statusCode, 504);
+                    assert.calledThrice(breakerMock.runCommand.withArgs(buildOpts));
+                });
+            });
+
+            it('does not retry other errors', () => {
+                breakerMock.runCommand.withArgs(createOpts).rejects(transientError(500));
+
+                return executor.start(config).then(() => {
+                    throw new Error('Should not get here');
+                }, (err) => {
+                    assert.strictEqual(err.statusCode, 500);
+                    assert.calledOnce(breakerMock.runCommand.withArgs(createOpts));
+                    assert.notCalled(breakerMock.runCommand.withArgs(buildOpts));
+                });
+            });
+
+            it('waits an exponential backoff with jitter between retries', () => {
+                const timeoutSpy = sinon.spy(global, 'setTimeout');
+                const restore = () => {
+                    timeoutSpy.restore();
+                    Math.random.restore();
+                };
+
+                sinon.stub(Math, 'random').returns(0.5);
+                executor.retry = { retries: 3, factor: 2, minTimeout: 10, maxTimeout: 30 };
+                breakerMock.runCommand.withArgs(buildOpts).rejects(transientError(503));
+
+                return executor._jenkinsRetryCommand(executor.controllers[0], buildOpts)
+                    .then(() => {
+                        restore();
+                        throw new Error('Should not get here');
+                    }, (err) => {
+                        restore();
+                        assert.strictEqual(err.statusCode, 503);
+                        assert.deepEqual(timeoutSpy.args.map(args => args[1]), [7.5, 15, 22.5]);
+                    });
+            });
+
+            it('leaves the retries of its commands to the retry policy', () => {
+                const shouldRetry = BreakerFactory.firstCall.args[1].shouldRetry;
+                const error = transientError(503);
+
+                assert.isFalse(shouldRetry(error, [buildOpts]));
+                assert.isFalse(shouldRetry(error, [configOpts]));
+                assert.isTrue(shouldRetry(error, [{ module: 'build', action: 'get' }]));
+            });
+
+            it('keeps the shouldRetry of the fusebox for the other commands', () => {
+                const fuseboxShouldRetry = sinon.stub().returns(false);
+
+                BreakerFactory.reset();
+                executor = new Executor({
+                    ecosystem,
+                    jenkins: { host: 'jenkins', password: 'fakepassword' },
+                    fusebox: { retry: { retries: 1 }, shouldRetry: fuseboxShouldRetry }
+                });
+
+                const breakerOptions = BreakerFactory.firstCall.args[1];
+                const args = [{ module: 'build', action: 'get' }];
+
+                assert.deepEqual(breakerOptions.retry, { retries: 1 });
+                assert.isFalse(breakerOptions.shouldRetry(new Error('fake'), args));
+                assert.calledWith(fuseboxShouldRetry, sinon.match.instanceOf(Error), args);
+            });
+        });
+
+        it('resolves to the Jenkins build once the queue item started', () => {
+            const queueItemOpts = {
+                module: 'queue',
+                action: 'item',
+                params: [{ number: 12 }]
+            };
+            const url = `http://jenkins/job/${jobName}/1/`;
+
+            executor.startWatchInterval = 0.01;
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            breakerMock.runCommand.withArgs(existsOpts).resolves(false);
+            breakerMock.runCommand.withArgs(buildOpts).resolves(12);
+            breakerMock.runCommand.withArgs(queueItemOpts).onCall(0).resolves({ id: 12 });
+            breakerMock.runCommand.withArgs(queueItemOpts).onCall(1).resolves({
+                id: 12,
+                executable: { number: 1, url }
+            });
+            breakerMock.runCommand.withArgs({
+                module: 'build',
+                action: 'get',
+                params: [{ name: jobName, number: 1 }]
+            }).resolves({ builtOn: 'agent-1' });
+
+            const expected = {
+                host: 'jenkins',
+                jobName,
+                queueId: 12,
+                buildNumber: 1,
+                node: 'agent-1',
+                url
+            };
+
+            return executor.start(config).then((ret) => {
+                assert.deepEqual(ret, expected);
+                assert.calledTwice(breakerMock.runCommand.withArgs(queueItemOpts));
+
+                return executor.buildStore.get(config.buildId);
+            }).then((record) => {
+                assert.deepEqual(record, expected);
+            });
+        });
+
+        it('resolves without a build number when it is still queued after the time limit', () => {
+            executor.startTimeLimit = 0.02;
+            executor.startWatchInterval = 0.01;
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            breakerMock.runCommand.withArgs(existsOpts).resolves(false);
+            breakerMock.runCommand.withArgs(buildOpts).resolves(12);
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'queue', action: 'item' }))
+                .resolves({ id: 12, why: 'Waiting for next available executor' });
+
+            return executor.start(config).then((ret) => {
+                assert.strictEqual(ret.queueId, 12);
+                assert.isNull(ret.buildNumber);
+                assert.isNull(ret.node);
+                assert.isNull(ret.url);
+            });
+        });
+
+        it('resolves with the queue item when following it failed once queued', () => {
+            const failed = sinon.stub();
+
+            executor.on('failed', failed);
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            breakerMock.runCommand.withArgs(existsOpts).resolves(false);
+            breakerMock.runCommand.withArgs(buildOpts).resolves(12);
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'queue', action: 'item' }))
+                .rejects(new Error('CircuitBreaker open'));
+
+            return executor.start(config).then((ret) => {
+                assert.strictEqual(ret.queueId, 12);
+                assert.isNull(ret.buildNumber);
+                assert.notCalled(failed);
+
+                return executor.buildStore.get(config.buildId);
+            }).then((record) => {
+                assert.strictEqual(record.queueId, 12);
+            });
+        });
+
+        it('saves the record to the given build store', () => {
+            const buildStore = {
+                get: sinon.stub().resolves(null),
+                set: sinon.stub().resolves(),
+                remove: sinon.stub().resolves()
+            };
+
+            executor = new Executor({
+                ecosystem,
+                jenkins: { host: 'jenkins', nodeLabel },
+                buildScript,
+                cleanupScript,
+                buildStore
+            });
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            breakerMock.runCommand.withArgs(existsOpts).resolves(false);
+            breakerMock.runCommand.withArgs(buildOpts).resolves(12);
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'queue', action: 'item' }))
+                .resolves({ id: 12, cancelled: true });
+
+            return executor.start(config).then(() => {
+                assert.calledWith(buildStore.set, config.buildId, sinon.match({
+                    host: 'jenkins',
+                    jobName,
+                    queueId: 12,
+                    buildNumber: null
+                }));
+            });
+        });
+
+        it('removes the record from the given build store when the start fails', () => {
+            const error = new Error('job.build error');
+            const buildStore = {
+                get: sinon.stub().resolves(null),
+                set: sinon.stub().resolves(),
+                remove: sinon.stub().rejects(new Error('store unavailable'))
+            };
+
+            executor = new Executor({
+                ecosystem,
+                jenkins: { host: 'jenkins', nodeLabel },
+                buildScript,
+                cleanupScript,
+                buildStore
+            });
+            executor.retry.retries = 0;
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            breakerMock.runCommand.withArgs(existsOpts).resolves(false);
+            breakerMock.runCommand.withArgs(buildOpts).rejects(error);
+
+            return executor.start(config).then(() => {
+                throw new Error('Should not get here');
+            }, (err) => {
+                // Failing to remove the record does not hide why the start failed
+                assert.strictEqual(err.message, 'job.build error');
+                assert.calledWith(buildStore.remove, config.buildId);
+            });
+        });
+
+        it('assigns the node label asked for by the build', () => {
+            const annotatedConfig = Object.assign({
+                annotations: { 'screwdriver.cd/j5sNodeLabel': 'arm64 && large-disk' }
+            }, config);
+
+            createOpts.params[0].xml = _.template(TEST_XML)({
+                nodeLabel: xmlescape('arm64 && large-disk'),
+                buildScript: xmlescape(buildScript),
+                cleanupScript: xmlescape(cleanupScript),
+                jenkinsTimeout: 95,
+                tokenCredentialId: null,
+                registryCredentials: []
+            });
+            executor = new Executor({
+                ecosystem,
+                jenkins: { host: 'jenkins', nodeLabel },
+                allowedNodeLabels: ['arm64 && large-disk'],
+                buildScript,
+                cleanupScript
+            });
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            breakerMock.runCommand.withArgs(existsOpts).resolves(false);
+
+            return executor.start(annotatedConfig).then(() => {
+                assert.calledWith(breakerMock.runCommand, createOpts);
+            });
+        });
+
+        it('return error when the node label is not allowed', () => {
+            const annotatedConfig = Object.assign({
+                annotations: { 'screwdriver.cd/j5sNodeLabel': 'gpu' }
+            }, config);
+
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+
+            return executor.start(annotatedConfig).then(() => {
+                throw new Error('Should not get here');
+            }, (err) => {
+                assert.strictEqual(err.message, 'Node label "gpu" is not allowed');
+                assert.notCalled(breakerMock.runCommand);
+            });
+        });
+
         it('return error when job.config is getting error', (done) => {
             const error = new Error('job.build error');
 
@@ -283,14 +679,20 @@ describe('index', () => {
             };
         });
 
-        it('return null when the build is successfully stopped', (done) => {
+        it('return the result when the build is successfully stopped', (done) => {
             breakerMock.runCommand.withArgs(getOpts).onCall(0).resolves(fakeJobInfo);
             breakerMock.runCommand.withArgs(getOpts).onCall(1).resolves(fakeCompletedJobInfo);
             breakerMock.runCommand.withArgs(stopOpts).resolves(null);
             breakerMock.runCommand.withArgs(destroyOpts).resolves(null);
 
             executor.stop(buildIdConfig).then((ret) => {
-                assert.isNull(ret);
+                assert.deepEqual(ret, {
+                    jobName,
+                    queueId: null,
+                    buildNumber,
+                    state: 'STOPPED',
+                    signals: ['stop']
+                });
                 assert.calledWith(breakerMock.runCommand, getOpts);
                 assert.calledWith(breakerMock.runCommand, stopOpts);
                 assert.calledWith(breakerMock.runCommand, destroyOpts);
@@ -298,7 +700,7 @@ describe('index', () => {
             });
         });
 
-        it('return null when the build is successfully stopped after a while', (done) => {
+        it('return the result when the build is successfully stopped after a while', (done) => {
             breakerMock.runCommand.withArgs(getOpts).onCall(0).resolves(fakeJobInfo);
             breakerMock.runCommand.withArgs(getOpts).onCall(1).resolves(fakeJobInfo);
             breakerMock.runCommand.withArgs(getOpts).onCall(2).resolves(fakeCompletedJobInfo);
@@ -306,7 +708,7 @@ describe('index', () => {
             breakerMock.runCommand.withArgs(destroyOpts).resolves(null);
 
             executor.stop(buildIdConfig).then((ret) => {
-                assert.isNull(ret);
+                assert.strictEqual(ret.state, 'STOPPED');
                 assert.calledWith(breakerMock.runCommand, getOpts);
                 assert.calledWith(breakerMock.runCommand, stopOpts);
                 assert.calledWith(breakerMock.runCommand, destroyOpts);
@@ -314,7 +716,7 @@ describe('index', () => {
             });
         });
 
-        it('return null when the build is successfully stopped after cleanup timeout', (done) => {
+        it('return running state when the build is not stopped after cleanup timeout', (done) => {
             // change executor's 'internal config
             executor.cleanupTimeLimit = 0.05;
 
@@ -323,7 +725,8 @@ describe('index', () => {
             breakerMock.runCommand.withArgs(destroyOpts).resolves(null);
 
             executor.stop(buildIdConfig).then((ret) => {
-                assert.isNull(ret);
+                assert.strictEqual(ret.state, 'RUNNING');
+                assert.deepEqual(ret.signals, ['stop']);
                 assert.calledWith(breakerMock.runCommand, getOpts);
                 assert.calledWith(breakerMock.runCommand, stopOpts);
                 assert.calledWith(breakerMock.runCommand, destroyOpts);
@@ -331,17 +734,135 @@ describe('index', () => {
             });
         });
 
-        it('return error when there is no build to be stopped yet', (done) => {
+        it('stops the build number recorded when the build started', () => {
+            const recordedStopOpts = {
+                module: 'build',
+                action: 'stop',
+                params: [{ name: jobName, number: 2 }]
+            };
+
+            breakerMock.runCommand.withArgs(getOpts).onCall(0).resolves({
+                lastBuild: { number: 3 },
+                lastCompletedBuild: { number: 1 }
+            });
+            breakerMock.runCommand.withArgs(getOpts).onCall(1).resolves({
+                lastBuild: { number: 3 },
+                lastCompletedBuild: { number: 2 }
+            });
+            breakerMock.runCommand.withArgs(recordedStopOpts).resolves(null);
+            breakerMock.runCommand.withArgs(destroyOpts).resolves(null);
+
+            return executor.buildStore.set(config.buildId, {
+                host: 'jenkins',
+                jobName,
+                buildNumber: 2
+            }).then(() => executor.stop(buildIdConfig)).then((ret) => {
+                assert.strictEqual(ret.buildNumber, 2);
+                assert.strictEqual(ret.state, 'STOPPED');
+                assert.calledWith(breakerMock.runCommand, recordedStopOpts);
+
+                return executor.buildStore.get(config.buildId);
+            }).then((record) => {
+                assert.isNull(record);
+            });
+        });
+
+        it('removes the job when no build has been started yet', () => {
             const noBuildJobInfo = {
                 lastBuild: null
             };
 
             breakerMock.runCommand.withArgs(getOpts).resolves(noBuildJobInfo);
-            breakerMock.runCommand.withArgs(stopOpts).resolves(null);
+            breakerMock.runCommand.withArgs(destroyOpts).resolves(null);
 
-            executor.stop(buildIdConfig).catch((err) => {
-                assert.deepEqual(err.message, 'No build has been started yet, try later');
-                done();
+            return executor.stop(buildIdConfig).then((ret) => {
+                assert.strictEqual(ret.state, 'NOT_STARTED');
+                assert.neverCalledWith(breakerMock.runCommand, stopOpts);
+                assert.calledWith(breakerMock.runCommand, destroyOpts);
+            });
+        });
+
+        it('cancels the queue item when the build is queued', () => {
+            const cancelOpts = {
+                module: 'queue',
+                action: 'cancel',
+                params: [{ number: 12 }]
+            };
+
+            breakerMock.runCommand.withArgs(getOpts).resolves({
+                inQueue: true,
+                queueItem: { id: 12 },
+                lastBuild: null
+            });
+            breakerMock.runCommand.withArgs(cancelOpts).resolves(null);
+            breakerMock.runCommand.withArgs(destroyOpts).resolves(null);
+
+            return executor.stop(buildIdConfig).then((ret) => {
+                assert.deepEqual(ret, {
+                    jobName,
+                    queueId: 12,
+                    buildNumber: null,
+                    state: 'CANCELLED',
+                    signals: []
+                });
+                assert.calledWith(breakerMock.runCommand, cancelOpts);
+                assert.neverCalledWith(breakerMock.runCommand, stopOpts);
+                assert.calledWith(breakerMock.runCommand, destroyOpts);
+            });
+        });
+
+        it('does not stop a build that already finished', () => {
+            breakerMock.runCommand.withArgs(getOpts).resolves(fakeCompletedJobInfo);
+            breakerMock.runCommand.withArgs(destroyOpts).resolves(null);
+
+            return executor.stop(buildIdConfig).then((ret) => {
+                assert.strictEqual(ret.state, 'FINISHED');
+                assert.neverCalledWith(breakerMock.runCommand, stopOpts);
+            });
+        });
+
+        it('escalates to term and kill for Pipeline builds that do not stop', () => {
+            const pipelineJobInfo = Object.assign({
+                _class: 'org.jenkinsci.plugins.workflow.job.WorkflowJob'
+            }, fakeJobInfo);
+            const signalOpts = action => ({
+                module: 'build',
+                action,
+                params: [{ name: jobName, number: buildNumber }]
+            });
+
+            executor.cleanupTimeLimit = 0.02;
+            breakerMock.runCommand.withArgs(getOpts).resolves(pipelineJobInfo);
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'build' })).resolves(null);
+            breakerMock.runCommand.withArgs(destroyOpts).resolves(null);
+
+            return executor.stop(buildIdConfig).then((ret) => {
+                assert.strictEqual(ret.state, 'RUNNING');
+                assert.deepEqual(ret.signals, ['stop', 'term', 'kill']);
+                assert.calledWith(breakerMock.runCommand, signalOpts('term'));
+                assert.calledWith(breakerMock.runCommand, signalOpts('kill'));
+            });
+        });
+
+        it('stops escalating once the Pipeline build stopped', () => {
+            const pipelineJobInfo = Object.assign({
+                _class: 'org.jenkinsci.plugins.workflow.job.WorkflowJob'
+            }, fakeJobInfo);
+
+            executor.cleanupTimeLimit = 0.02;
+            breakerMock.runCommand.withArgs(getOpts).resolves(pipelineJobInfo);
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'build' })).resolves(null);
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'build', action: 'term' }))
+                .callsFake(() => {
+                    breakerMock.runCommand.withArgs(getOpts).resolves(fakeCompletedJobInfo);
+
+                    return Promise.resolve(null);
+                });
+            breakerMock.runCommand.withArgs(destroyOpts).resolves(null);
+
+            return executor.stop(buildIdConfig).then((ret) => {
+                assert.strictEqual(ret.state, 'STOPPED');
+                assert.deepEqual(ret.signals, ['stop', 'term']);
             });
         });
 
@@ -383,82 +904,1904 @@ describe('index', () => {
         });
     });
 
-    describe('use docker', () => {
+    describe('stats', () => {
+        let getOpts;
+        let buildGetOpts;
+        let queueListOpts;
+
         beforeEach(() => {
-            mockery.deregisterMock('circuit-fuses');
-            mockery.resetCache();
+            getOpts = {
+                module: 'job',
+                action: 'get',
+                params: [{ name: jobName }]
+            };
 
-            // eslint-disable-next-line global-require
-            Executor = require('../index');
+            buildGetOpts = {
+                module: 'build',
+                action: 'get',
+                params: [{ name: jobName, number: buildNumber }]
+            };
 
-            executor = new Executor({
-                ecosystem,
-                jenkins: {
+            queueListOpts = {
+                module: 'queue',
+                action: 'list',
+                params: []
+            };
+        });
+
+        it('return queue position and reason when the build is queued', () => {
+            const why = 'Waiting for next available executor on screwdriver';
+
+            breakerMock.runCommand.withArgs(getOpts).resolves({
+                inQueue: true,
+                queueItem: { id: 12, why },
+                lastBuild: null
+            });
+            breakerMock.runCommand.withArgs(queueListOpts).resolves([
+                { id: 13, inQueueSince: 300 },
+                { id: 12, inQueueSince: 200 },
+                { id: 11, inQueueSince: 100 }
+            ]);
+
+            return executor.stats(buildIdConfig).then((stats) => {
+                assert.deepEqual(stats, {
+                    jobName,
                     host: 'jenkins',
-                    username: 'admin',
-                    password: 'fakepassword'
-                }
+                    status: 'QUEUED',
+                    queuePosition: 2,
+                    queueReason: why,
+                    buildNumber: null,
+                    result: null,
+                    failure: null,
+                    node: null
+                });
             });
+        });
 
-            const taskScript = executor._dockerTaskScript(config);
-
-            compiledJobXml = _.template(TEST_XML)({
-                nodeLabel: 'screwdriver',
-                buildScript: xmlescape(taskScript.buildScript),
-                cleanupScript: xmlescape(taskScript.cleanupScript)
+        it('return null queue position when the item already left the queue', () => {
+            breakerMock.runCommand.withArgs(getOpts).resolves({
+                inQueue: true,
+                queueItem: { id: 12 }
             });
+            breakerMock.runCommand.withArgs(queueListOpts).resolves([]);
 
-            jenkinsMock.job.create = sinon.stub(executor.jenkinsClient.job, 'create');
-            jenkinsMock.job.config = sinon.stub(executor.jenkinsClient.job, 'config');
-            jenkinsMock.job.exists = sinon.stub(executor.jenkinsClient.job, 'exists');
-            jenkinsMock.job.build = sinon.stub(executor.jenkinsClient.job, 'build');
+            return executor.stats(buildIdConfig).then((stats) => {
+                assert.strictEqual(stats.status, 'QUEUED');
+                assert.isNull(stats.queuePosition);
+                assert.isNull(stats.queueReason);
+            });
         });
 
-        it('calls jenkins function correctly', (done) => {
-            fsMock.readFile.yieldsAsync(null, compiledJobXml);
-            jenkinsMock.job.exists.yieldsAsync(null, false);
-            jenkinsMock.job.create.yieldsAsync(null);
-            jenkinsMock.job.build.yieldsAsync(null);
+        it('return the node when the build is running', () => {
+            breakerMock.runCommand.withArgs(getOpts).resolves(fakeJobInfo);
+            breakerMock.runCommand.withArgs(buildGetOpts).resolves({
+                building: true,
+                result: null,
+                builtOn: 'agent-1'
+            });
 
-            executor.start(config).then(() => {
-                assert.calledWith(jenkinsMock.job.create, { name: jobName, xml: compiledJobXml });
-                assert.calledWith(jenkinsMock.job.build,
-                                  { name: jobName, parameters: buildParameters });
-                done();
+            return executor.stats(buildIdConfig).then((stats) => {
+                assert.deepEqual(stats, {
+                    jobName,
+                    host: 'jenkins',
+                    status: 'RUNNING',
+                    queuePosition: null,
+                    queueReason: null,
+                    buildNumber,
+                    result: null,
+                    failure: null,
+                    node: 'agent-1'
+                });
             });
         });
 
-        it('run docker command with default options correctly', () => {
-            // build container
-            assert.include(compiledJobXml, xmlescape(shellescape(['--memory', '4g'])));
-            assert.include(compiledJobXml, xmlescape(shellescape(['--memory-swap', '6g'])));
-            assert.include(compiledJobXml, xmlescape(config.container));
+        it('return the result when the build is finished on master', () => {
+            breakerMock.runCommand.withArgs(getOpts).resolves(fakeCompletedJobInfo);
+            breakerMock.runCommand.withArgs(buildGetOpts).resolves({
+                building: false,
+                result: 'SUCCESS',
+                builtOn: ''
+            });
 
-            // launcher container
-            assert.include(compiledJobXml,
-                           xmlescape(shellescape(['--label', `sdbuild=${config.buildId}`])));
-            assert.include(compiledJobXml, xmlescape('screwdrivercd/launcher:stable'));
+            return executor.stats(buildIdConfig).then((stats) => {
+                assert.strictEqual(stats.status, 'FINISHED');
+                assert.strictEqual(stats.result, 'SUCCESS');
+                assert.strictEqual(stats.node, 'master');
+            });
         });
 
-        it('run docker command with provided options correctly', () => {
-            const executorConfig = {
-                ecosystem,
-                jenkins: {
-                    host: 'jenkins',
-                    username: 'admin',
-                    password: 'fakepassword',
-                    nodeLabel
-                },
-                docker: {
-                    command: '/foo/docker',
-                    memory: '1g',
-                    memoryLimit: '2g',
-                    prefix: 'foo-prefix',
-                    launchVersion: 'foo-ver'
-                }
-            };
-
-            executor = new Executor(executorConfig);
+        it('return timeout when Jenkins aborted the build for the timeout', () => {
+            breakerMock.runCommand.withArgs(getOpts).resolves(fakeCompletedJobInfo);
+            breakerMock.runCommand.withArgs(buildGetOpts).resolves({
+                number: buildNumber,
+                building: false,
+                result: 'ABORTED',
+                description: 'SD_BUILD_TIMEOUT',
+                builtOn: 'agent-1'
+            });
+
+            return executor.stats(buildIdConfig).then((stats) => {
+                assert.strictEqual(stats.result, 'TIMEOUT');
+                assert.strictEqual(stats.failure, 'TIMEOUT');
+                assert.neverCalledWith(breakerMock.runCommand, sinon.match({ action: 'log' }));
+            });
+        });
+
+        it('return timeout when the watchdog killed the build container', () => {
+            breakerMock.runCommand.withArgs(getOpts).resolves(fakeCompletedJobInfo);
+            breakerMock.runCommand.withArgs(buildGetOpts).resolves({
+                number: buildNumber,
+                building: false,
+                result: 'FAILURE',
+                builtOn: 'agent-1'
+            });
+            breakerMock.runCommand.withArgs({
+                module: 'build',
+                action: 'log',
+                params: [{ name: jobName, number: buildNumber }]
+            }).resolves([
+                '+ echo \'SD_BUILD_TIMEOUT: build timed out after 90 minutes\'',
+                'SD_BUILD_TIMEOUT: build timed out after 90 minutes',
+                'Build step \'Execute shell\' marked build as failure'
+            ].join('\n'));
+
+            return executor.stats(buildIdConfig).then((stats) => {
+                assert.strictEqual(stats.result, 'TIMEOUT');
+            });
+        });
+
+        it('return timeout when the timeout step aborted a Pipeline build', () => {
+            breakerMock.runCommand.withArgs(getOpts).resolves(fakeCompletedJobInfo);
+            breakerMock.runCommand.withArgs(buildGetOpts).resolves({
+                number: buildNumber,
+                building: false,
+                result: 'ABORTED',
+                builtOn: 'agent-1'
+            });
+            breakerMock.runCommand.withArgs({
+                module: 'build',
+                action: 'log',
+                params: [{ name: jobName, number: buildNumber }]
+            }).resolves([
+                'Cancelling nested steps due to timeout',
+                '[Pipeline] echo',
+                'SD_BUILD_TIMEOUT: Jenkins aborted the build after 95 minutes',
+                'Finished: ABORTED'
+            ].join('\n'));
+
+            return executor.stats(buildIdConfig).then((stats) => {
+                assert.strictEqual(stats.result, 'TIMEOUT');
+                assert.strictEqual(stats.failure, 'TIMEOUT');
+            });
+        });
+
+        it('return the failure when the build did not time out', () => {
+            breakerMock.runCommand.withArgs(getOpts).resolves(fakeCompletedJobInfo);
+            breakerMock.runCommand.withArgs(buildGetOpts).resolves({
+                number: buildNumber,
+                building: false,
+                result: 'FAILURE',
+                builtOn: 'agent-1'
+            });
+            breakerMock.runCommand.withArgs(sinon.match({ action: 'log' }))
+                .resolves('+ echo \'SD_BUILD_TIMEOUT: build timed out after 90 minutes\'\n');
+
+            return executor.stats(buildIdConfig).then((stats) => {
+                assert.strictEqual(stats.result, 'FAILURE');
+                assert.strictEqual(stats.failure, 'BUILD');
+            });
+        });
+
+        describe('failure', () => {
+            const statsWithLog = (result, log) => {
+                breakerMock.runCommand.withArgs(getOpts).resolves(fakeCompletedJobInfo);
+                breakerMock.runCommand.withArgs(buildGetOpts).resolves({
+                    number: buildNumber,
+                    building: false,
+                    result,
+                    builtOn: 'agent-1'
+                });
+                breakerMock.runCommand.withArgs(sinon.match({ action: 'log' })).resolves(log);
+
+                return executor.stats(buildIdConfig);
+            };
+
+            it('return the image pull failure the build script printed', () =>
+                statsWithLog('FAILURE', 'SD_BUILD_FAILURE: IMAGE_PULL: could not pull\n')
+                    .then((stats) => {
+                        assert.strictEqual(stats.result, 'FAILURE');
+                        assert.strictEqual(stats.failure, 'IMAGE_PULL');
+                    })
+            );
+
+            it('return the launcher failure the build script printed', () =>
+                statsWithLog('FAILURE', 'SD_BUILD_FAILURE: LAUNCHER: could not start\n')
+                    .then((stats) => {
+                        assert.strictEqual(stats.failure, 'LAUNCHER');
+                    })
+            );
+
+            it('return the OOM kill the build script printed', () =>
+                statsWithLog('FAILURE', 'pulled\nSD_BUILD_FAILURE: OOM_KILLED: out of memory')
+                    .then((stats) => {
+                        assert.strictEqual(stats.failure, 'OOM_KILLED');
+                    })
+            );
+
+            it('return aborted for a build stopped without a marker', () =>
+                statsWithLog('ABORTED', 'Aborted by admin\n').then((stats) => {
+                    assert.strictEqual(stats.failure, 'ABORTED');
+                })
+            );
+
+            it('ignores unknown categories', () =>
+                statsWithLog('FAILURE', 'SD_BUILD_FAILURE: DISK_FULL: no space left\n')
+                    .then((stats) => {
+                        assert.strictEqual(stats.failure, 'BUILD');
+                    })
+            );
+
+            it('return a build failure for a build without a log', () =>
+                statsWithLog('FAILURE', null).then((stats) => {
+                    assert.strictEqual(stats.failure, 'BUILD');
+                })
+            );
+        });
+
+        it('return unknown status when nothing has been scheduled yet', () => {
+            breakerMock.runCommand.withArgs(getOpts).resolves({ lastBuild: null });
+
+            return executor.stats(buildIdConfig).then((stats) => {
+                assert.strictEqual(stats.status, 'UNKNOWN');
+                assert.notCalled(breakerMock.runCommand.withArgs(buildGetOpts));
+            });
+        });
+
+        it('return the circuit breaker stats of the executor without a buildId', () => {
+            const breakerStats = {
+                requests: { total: 3, timeouts: 0, success: 2, failure: 1 },
+                breaker: { isClosed: true }
+            };
+
+            breakerMock.stats = sinon.stub().returns(breakerStats);
+
+            assert.deepEqual(executor.stats(), Object.assign({
+                controllers: [Object.assign({ host: 'jenkins' }, breakerStats)]
+            }, breakerStats));
+            assert.deepEqual(executor.stats({}), executor.stats());
+            assert.notCalled(breakerMock.runCommand);
+        });
+
+        it('return error when job.get is getting error', () => {
+            const error = new Error('job.get error');
+
+            breakerMock.runCommand.withArgs(getOpts).rejects(error);
+
+            return executor.stats(buildIdConfig).then(() => {
+                throw new Error('Should not get here');
+            }, (err) => {
+                assert.deepEqual(err, error);
+            });
+        });
+    });
+
+    describe('reap', () => {
+        let listOpts;
+
+        const minutesAgo = minutes => Date.now() - (minutes * 60 * 1000);
+        const destroyOpts = name => ({
+            module: 'job',
+            action: 'destroy',
+            params: [{ name }]
+        });
+
+        beforeEach(() => {
+            listOpts = {
+                module: 'job',
+                action: 'list',
+                params: [{
+                    tree: 'jobs[name,inQueue,lastBuild[number,building,timestamp,duration]]'
+                }]
+            };
+
+            breakerMock.runCommand.withArgs(listOpts).resolves([
+                { name: 'other-job', lastBuild: { timestamp: minutesAgo(600), duration: 0 } },
+                {
+                    name: 'SD-1',
+                    inQueue: false,
+                    lastBuild: {
+                        number: 1,
+                        building: false,
+                        timestamp: minutesAgo(120),
+                        duration: 0
+                    }
+                },
+                {
+                    name: 'SD-2',
+                    inQueue: false,
+                    lastBuild: {
+                        number: 1,
+                        building: false,
+                        timestamp: minutesAgo(40),
+                        duration: 10 * 60 * 1000
+                    }
+                },
+                {
+                    name: 'SD-3',
+                    inQueue: false,
+                    lastBuild: {
+                        number: 1,
+                        building: true,
+                        timestamp: minutesAgo(600),
+                        duration: 0
+                    }
+                },
+                { name: 'SD-4', inQueue: true, lastBuild: null }
+            ]);
+            breakerMock.runCommand.withArgs(sinon.match({ action: 'destroy' })).resolves(null);
+        });
+
+        it('removes a job without a build once an earlier reap saw it long enough ago', () => {
+            const firstSeen = minutesAgo(0);
+            const clock = sinon.stub(Date, 'now').returns(firstSeen);
+
+            breakerMock.runCommand.withArgs(listOpts).resolves([
+                { name: 'SD-5', inQueue: false, lastBuild: null }
+            ]);
+
+            return executor.reap().then((report) => {
+                assert.deepEqual(report.removed, []);
+                clock.returns(firstSeen + (30 * 60 * 1000));
+
+                return executor.reap();
+            }).then((report) => {
+                assert.deepEqual(report.removed, []);
+                clock.returns(firstSeen + (61 * 60 * 1000));
+
+                return executor.reap();
+            }).then((report) => {
+                clock.restore();
+                assert.deepEqual(report.removed, [
+                    { reason: 'NEVER_BUILT', jobName: 'SD-5', buildId: '5', host: 'jenkins' }
+                ]);
+                assert.calledWith(breakerMock.runCommand, destroyOpts('SD-5'));
+                assert.strictEqual(executor.unbuiltJobs.size, 0);
+            }, (err) => {
+                clock.restore();
+                throw err;
+            });
+        });
+
+        it('forgets a job without a build once it got one', () => {
+            breakerMock.runCommand.withArgs(listOpts).onCall(0).resolves([
+                { name: 'SD-5', inQueue: false, lastBuild: null }
+            ]);
+            breakerMock.runCommand.withArgs(listOpts).onCall(1).resolves([
+                { name: 'SD-5', inQueue: true, lastBuild: null }
+            ]);
+
+            return executor.reap().then(() => {
+                assert.strictEqual(executor.unbuiltJobs.size, 1);
+
+                return executor.reap({ olderThan: 0 });
+            }).then((report) => {
+                assert.deepEqual(report.removed, []);
+                assert.strictEqual(executor.unbuiltJobs.size, 0);
+            });
+        });
+
+        it('removes jobs whose last build finished long ago', () =>
+            executor.reap().then((report) => {
+                assert.deepEqual(report, {
+                    dryRun: false,
+                    removed: [{
+                        reason: 'FINISHED',
+                        jobName: 'SD-1',
+                        buildId: '1',
+                        host: 'jenkins'
+                    }],
+                    failed: []
+                });
+                assert.calledWith(breakerMock.runCommand, destroyOpts('SD-1'));
+                assert.neverCalledWith(breakerMock.runCommand, destroyOpts('other-job'));
+                assert.neverCalledWith(breakerMock.runCommand, destroyOpts('SD-2'));
+                assert.neverCalledWith(breakerMock.runCommand, destroyOpts('SD-3'));
+            })
+        );
+
+        it('uses the given age', () =>
+            executor.reap({ olderThan: 20 }).then((report) => {
+                assert.deepEqual(report.removed.map(job => job.jobName), ['SD-1', 'SD-2']);
+            })
+        );
+
+        it('stops and removes running jobs of builds unknown to the caller', () => {
+            const getOpts = {
+                module: 'job',
+                action: 'get',
+                params: [{ name: 'SD-3' }]
+            };
+
+            breakerMock.runCommand.withArgs(getOpts).onCall(0).resolves(fakeJobInfo);
+            breakerMock.runCommand.withArgs(getOpts).onCall(1).resolves(fakeCompletedJobInfo);
+            breakerMock.runCommand.withArgs(sinon.match({ action: 'stop' })).resolves(null);
+
+            return executor.reap({ buildIds: [2, 4] }).then((report) => {
+                assert.sameDeepMembers(report.removed, [
+                    { reason: 'UNKNOWN', jobName: 'SD-1', buildId: '1', host: 'jenkins' },
+                    { reason: 'UNKNOWN', jobName: 'SD-3', buildId: '3', host: 'jenkins' }
+                ]);
+                assert.calledWith(breakerMock.runCommand, {
+                    module: 'build',
+                    action: 'stop',
+                    params: [{ name: 'SD-3', number: 1 }]
+                });
+                assert.calledWith(breakerMock.runCommand, destroyOpts('SD-3'));
+            });
+        });
+
+        it('only reports what would be removed in dry-run mode', () =>
+            executor.reap({ dryRun: true, buildIds: [] }).then((report) => {
+                assert.isTrue(report.dryRun);
+                assert.deepEqual(report.removed.map(job => job.jobName),
+                    ['SD-1', 'SD-2', 'SD-3', 'SD-4']);
+                assert.neverCalledWith(breakerMock.runCommand, sinon.match({ action: 'destroy' }));
+                assert.neverCalledWith(breakerMock.runCommand, sinon.match({ action: 'stop' }));
+            })
+        );
+
+        it('reports the jobs it failed to remove', () => {
+            breakerMock.runCommand.withArgs(destroyOpts('SD-1'))
+                .rejects(new Error('job.destroy error'));
+
+            return executor.reap().then((report) => {
+                assert.deepEqual(report.removed, []);
+                assert.deepEqual(report.failed, [{
+                    message: 'job.destroy error',
+                    jobName: 'SD-1',
+                    buildId: '1',
+                    host: 'jenkins'
+                }]);
+            });
+        });
+
+        it('reports the controller when job.list is getting error', () => {
+            const error = new Error('job.list error');
+
+            breakerMock.runCommand.withArgs(listOpts).rejects(error);
+
+            return executor.reap().then((report) => {
+                assert.deepEqual(report, {
+                    dryRun: false,
+                    removed: [],
+                    failed: [{
+                        message: 'job.list error',
+                        jobName: null,
+                        buildId: null,
+                        host: 'jenkins'
+                    }]
+                });
+            });
+        });
+    });
+
+    describe('render', () => {
+        it('renders the job without touching Jenkins', () => {
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+
+            return executor.render(config).then((rendered) => {
+                assert.deepEqual(rendered, {
+                    jobName,
+                    xml: compiledJobXml,
+                    buildScript,
+                    cleanupScript,
+                    parameters: Object.assign({}, buildParameters, { SD_TOKEN: '***' })
+                });
+                assert.notCalled(breakerMock.runCommand);
+            });
+        });
+
+        it('masks the token and registry passwords', () => {
+            executor = new Executor({
+                ecosystem,
+                jenkins: { host: 'jenkins', password: 'fakepassword' },
+                docker: {
+                    env: { COPIED: `${config.token}:regsecret` },
+                    registries: [{
+                        host: 'registry.example.com',
+                        username: 'u',
+                        password: 'regsecret'
+                    }]
+                }
+            });
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+
+            return executor.render(config).then((rendered) => {
+                const output = JSON.stringify(rendered);
+
+                assert.notInclude(output, config.token);
+                assert.notInclude(output, 'regsecret');
+                assert.include(rendered.buildScript, "-e 'COPIED=***:***'");
+                assert.include(rendered.xml, 'COPIED=***:***');
+            });
+        });
+
+        it('return error for a build it would not start', () => {
+            const labelConfig = Object.assign({
+                annotations: { 'screwdriver.cd/j5sNodeLabel': 'gpu' }
+            }, config);
+
+            return executor.render(labelConfig).then(() => {
+                throw new Error('Should not get here');
+            }, (err) => {
+                assert.strictEqual(err.message, 'Node label "gpu" is not allowed');
+                assert.notCalled(fsMock.readFile);
+            });
+        });
+    });
+
+    describe('errors', () => {
+        const jenkinsError = (statusCode, action) => {
+            const error = new Error(`jenkins: job.${action}: failed`);
+
+            Object.assign(error, { statusCode, module: 'job', action });
+
+            return error;
+        };
+        const rejection = promise => promise.then(() => {
+            throw new Error('Should not get here');
+        }, err => err);
+
+        beforeEach(() => {
+            executor.retry.retries = 0;
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+        });
+
+        it('maps the status of the Jenkins answer', () => {
+            const errors = [[403, 'JenkinsAuthError'], [404, 'JenkinsNotFoundError'],
+                [503, 'JenkinsUnavailableError'], [500, 'JenkinsError']];
+
+            return errors.reduce((previous, expected) => previous.then(() => {
+                breakerMock.runCommand.reset();
+                breakerMock.runCommand.rejects(jenkinsError(expected[0], 'exists'));
+
+                return rejection(executor.start(config)).then((err) => {
+                    assert.strictEqual(err.name, expected[1]);
+                    assert.instanceOf(err, Executor[expected[1]]);
+                    assert.instanceOf(err, Executor.ExecutorError);
+                    assert.strictEqual(err.statusCode, expected[0]);
+                });
+            }), Promise.resolve());
+        });
+
+        it('maps the open and timed out circuit breaker', () => {
+            breakerMock.runCommand.rejects(new Error('CircuitBreaker open'));
+
+            return rejection(executor.start(config)).then((err) => {
+                assert.instanceOf(err, Executor.CircuitOpenError);
+                assert.deepEqual(_.pick(err, ['statusCode', 'jobName', 'buildId']),
+                    { statusCode: null, jobName, buildId: config.buildId });
+
+                breakerMock.runCommand.rejects(new Error('CircuitBreaker timeout'));
+
+                return rejection(executor.stop(buildIdConfig));
+            }).then((err) => {
+                assert.instanceOf(err, Executor.JenkinsUnavailableError);
+                assert.deepEqual(_.pick(err, ['jobName', 'buildId']),
+                    { jobName, buildId: config.buildId });
+            });
+        });
+
+        it('rejects with a JenkinsNotFoundError when stopping a build without a job', () => {
+            breakerMock.runCommand.withArgs(sinon.match({ action: 'get' }))
+                .rejects(jenkinsError(404, 'get'));
+
+            return rejection(executor.stop(buildIdConfig)).then((err) => {
+                assert.instanceOf(err, Executor.JenkinsNotFoundError);
+                assert.deepEqual(_.pick(err, [
+                    'statusCode', 'module', 'action', 'jobName', 'buildId'
+                ]), {
+                    statusCode: 404,
+                    module: 'job',
+                    action: 'get',
+                    jobName,
+                    buildId: config.buildId
+                });
+            });
+        });
+
+        it('rejects with a typed error when the stats of a build cannot be read', () => {
+            breakerMock.runCommand.withArgs(sinon.match({ action: 'get' }))
+                .rejects(jenkinsError(503, 'get'));
+
+            return rejection(executor.stats(buildIdConfig)).then((err) => {
+                assert.instanceOf(err, Executor.JenkinsUnavailableError);
+                assert.deepEqual(_.pick(err, [
+                    'statusCode', 'module', 'action', 'jobName', 'buildId'
+                ]), {
+                    statusCode: 503,
+                    module: 'job',
+                    action: 'get',
+                    jobName,
+                    buildId: config.buildId
+                });
+
+                breakerMock.runCommand.withArgs(sinon.match({ action: 'get' }))
+                    .rejects(new Error('CircuitBreaker open'));
+
+                return rejection(executor.stats(buildIdConfig));
+            }).then((err) => {
+                assert.instanceOf(err, Executor.CircuitOpenError);
+                assert.strictEqual(err.buildId, config.buildId);
+            });
+        });
+
+        it('keeps other errors as they are', () => {
+            const error = new Error('fs.readFile error');
+
+            fsMock.readFile.yieldsAsync(error);
+
+            return rejection(executor.start(config)).then((err) => {
+                assert.strictEqual(err, error);
+
+                return rejection(executor.start(Object.assign({
+                    annotations: { 'screwdriver.cd/j5sResources': 'HUGE' }
+                }, config)));
+            }).then((err) => {
+                assert.notInstanceOf(err, Executor.ExecutorError);
+                assert.strictEqual(err.message, 'Resource tier "HUGE" is not configured');
+            });
+        });
+    });
+
+    describe('events and metrics', () => {
+        let events;
+
+        const existsOpts = {
+            module: 'job',
+            action: 'exists',
+            params: [{ name: jobName }]
+        };
+
+        /**
+         * Record the lifecycle events of the executor
+         * @method listen
+         * @param  {Object}   emitter       Executor
+         */
+        const listen = (emitter) => {
+            ['startRequested', 'queued', 'running', 'stopRequested', 'destroyed', 'failed']
+                .forEach(name => emitter.on(name, payload => events.push([name, payload])));
+        };
+
+        beforeEach(() => {
+            events = [];
+            breakerMock.breaker = { isOpen: sinon.stub().returns(false), on: sinon.stub() };
+            listen(executor);
+        });
+
+        it('emits the events of a build that started running', () => {
+            executor.startWatchInterval = 0.01;
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            breakerMock.runCommand.withArgs(existsOpts).resolves(false);
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'job', action: 'build' }))
+                .resolves(12);
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'queue', action: 'item' }))
+                .resolves({
+                    id: 12,
+                    executable: { number: 1, url: `http://jenkins/job/${jobName}/1/` }
+                });
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'build', action: 'get' }))
+                .resolves({ builtOn: 'agent-1' });
+
+            return executor.start(config).then(() => {
+                assert.deepEqual(events.map(event => event[0]),
+                    ['startRequested', 'queued', 'running']);
+                assert.deepEqual(events[0][1], { buildId: config.buildId, jobName });
+                assert.deepEqual(_.omit(events[1][1], 'duration'),
+                    { buildId: config.buildId, jobName, host: 'jenkins', queueId: 12 });
+                assert.deepEqual(_.omit(events[2][1], ['duration', 'queueDuration']), {
+                    buildId: config.buildId,
+                    jobName,
+                    host: 'jenkins',
+                    buildNumber: 1,
+                    node: 'agent-1'
+                });
+                assert.isAtLeast(events[2][1].duration, events[2][1].queueDuration);
+                assert.include(executor.metrics(),
+                    'j5s_build_events_total{event="running"} 1\n');
+                assert.include(executor.metrics(),
+                    'j5s_build_queue_duration_seconds_count{host="jenkins"} 1\n');
+            });
+        });
+
+        it('emits a failed event with the error', () => {
+            const error = new Error('CircuitBreaker open');
+
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            breakerMock.runCommand.rejects(error);
+
+            return executor.start(config).then(() => {
+                throw new Error('Should not get here');
+            }, (err) => {
+                assert.deepEqual(events.map(event => event[0]), ['startRequested', 'failed']);
+                assert.strictEqual(events[1][1].operation, 'start');
+                assert.strictEqual(events[1][1].error, err);
+                assert.isNumber(events[1][1].duration);
+
+                return executor.stop(buildIdConfig);
+            }).then(() => {
+                throw new Error('Should not get here');
+            }, () => {
+                assert.deepEqual(events.slice(2).map(event => event[0]),
+                    ['stopRequested', 'failed']);
+                assert.strictEqual(events[3][1].operation, 'stop');
+            });
+        });
+
+        it('emits the events of a stopped build', () => {
+            const getOpts = sinon.match({ module: 'job', action: 'get' });
+
+            breakerMock.runCommand.withArgs(getOpts).onCall(0).resolves(fakeJobInfo);
+            breakerMock.runCommand.withArgs(getOpts).onCall(1).resolves(fakeCompletedJobInfo);
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'build', action: 'stop' }))
+                .resolves(null);
+
+            return executor.stop(buildIdConfig).then(() => {
+                assert.deepEqual(events.map(event => event[0]), ['stopRequested', 'destroyed']);
+                assert.deepEqual(_.omit(events[1][1], 'duration'), {
+                    buildId: config.buildId,
+                    jobName,
+                    host: 'jenkins',
+                    state: 'STOPPED'
+                });
+                assert.include(executor.metrics(),
+                    'j5s_build_stop_duration_seconds_count{host="jenkins"} 1\n');
+            });
+        });
+
+        it('renders the Jenkins requests and breaker state in the Prometheus format', () => {
+            const labels = { module: 'job', action: 'exists' };
+            const callback = sinon.stub();
+
+            executor._measureRequest('jenkins', labels, callback)(null, true);
+            executor._measureRequest('jenkins', labels, callback)(new Error('refused'));
+            breakerMock.breaker.isOpen.returns(true);
+
+            const metrics = executor.metrics();
+
+            assert.calledWith(callback, null, true);
+            assert.include(metrics, [
+                '# HELP j5s_jenkins_requests_total Jenkins requests by operation and result',
+                '# TYPE j5s_jenkins_requests_total counter',
+                'j5s_jenkins_requests_total{host="jenkins",operation="job.exists",' +
+                    'result="success"} 1',
+                'j5s_jenkins_requests_total{host="jenkins",operation="job.exists",' +
+                    'result="failure"} 1'
+            ].join('\n'));
+            assert.include(metrics, 'j5s_jenkins_request_duration_seconds_bucket{' +
+                'host="jenkins",operation="job.exists",le="+Inf"} 2\n');
+            assert.include(metrics, 'j5s_jenkins_request_duration_seconds_count{' +
+                'host="jenkins",operation="job.exists"} 2\n');
+            assert.include(metrics, 'j5s_circuit_breaker_open{host="jenkins"} 1\n');
+            assert.match(metrics, /\n$/);
+        });
+
+        it('counts the trips of the circuit breaker', () => {
+            breakerMock.breaker = Object.assign(new EventEmitter(), { isOpen: () => false });
+            executor = new Executor({ ecosystem, jenkins: { host: 'jenkins' } });
+
+            breakerMock.breaker.emit('open');
+            breakerMock.breaker.emit('open');
+
+            assert.include(executor.metrics(),
+                'j5s_circuit_breaker_trips_total{host="jenkins"} 2\n');
+        });
+    });
+
+    describe('health check', () => {
+        const versionOpts = { module: 'system', action: 'version', params: [] };
+        const pluginsOpts = { module: 'system', action: 'plugins', params: [] };
+        const nodesOpts = sinon.match({ module: 'node', action: 'list' });
+
+        beforeEach(() => {
+            breakerMock.runCommand.withArgs(versionOpts).resolves('2.346.1');
+            breakerMock.runCommand.withArgs(pluginsOpts).resolves([
+                { shortName: 'postbuild-task', version: '1.8', active: true },
+                { shortName: 'build-timeout', version: '1.20', active: true },
+                { shortName: 'credentials-binding', version: '1.27', active: false }
+            ]);
+            breakerMock.runCommand.withArgs(nodesOpts).resolves([
+                {
+                    offline: false,
+                    assignedLabels: [{ name: nodeLabel }],
+                    executors: [{ idle: true }, { idle: false }, { idle: true }]
+                },
+                {
+                    offline: true,
+                    assignedLabels: [{ name: nodeLabel }],
+                    executors: [{ idle: true }]
+                },
+                {
+                    offline: false,
+                    assignedLabels: [{ name: 'other' }],
+                    executors: [{ idle: true }]
+                }
+            ]);
+        });
+
+        it('reports a controller that can run builds', () =>
+            executor.healthCheck().then((report) => {
+                assert.deepEqual(report, {
+                    healthy: true,
+                    controllers: [{
+                        host: 'jenkins',
+                        healthy: true,
+                        version: '2.346.1',
+                        nodeLabel,
+                        missingPlugins: [],
+                        agents: { online: 1, offline: 1 },
+                        executors: { free: 2, busy: 1 },
+                        problems: []
+                    }]
+                });
+            })
+        );
+
+        it('reports missing plugins and agents', () => {
+            executor = new Executor({
+                ecosystem,
+                jenkins: { host: 'jenkins', nodeLabel: 'arm64' },
+                tokenCredentials: true
+            });
+
+            return executor.healthCheck().then((report) => {
+                const controller = report.controllers[0];
+
+                assert.isFalse(report.healthy);
+                assert.isFalse(controller.healthy);
+                assert.deepEqual(controller.missingPlugins,
+                    ['credentials-binding', 'plain-credentials']);
+                assert.deepEqual(controller.agents, { online: 0, offline: 0 });
+                assert.deepEqual(controller.problems, [
+                    'Plugins credentials-binding, plain-credentials ' +
+                        'are not installed or not active',
+                    'No agent with the label "arm64" is online'
+                ]);
+            });
+        });
+
+        it('needs the pipeline plugins for the pipeline template', () => {
+            executor = new Executor({
+                ecosystem,
+                jenkins: { host: 'jenkins', nodeLabel },
+                jobTemplate: 'pipeline'
+            });
+
+            return executor.healthCheck().then((report) => {
+                assert.deepEqual(report.controllers[0].missingPlugins, [
+                    'workflow-job', 'workflow-cps', 'workflow-durable-task-step',
+                    'workflow-basic-steps'
+                ]);
+            });
+        });
+
+        it('reports a controller that refused the credentials or could not be reached', () => {
+            const error = new Error('jenkins: system.version: unauthorized');
+
+            Object.assign(error, { statusCode: 401, module: 'system', action: 'version' });
+            breakerMock.runCommand.withArgs(versionOpts).rejects(error);
+
+            return executor.healthCheck().then((report) => {
+                assert.isFalse(report.healthy);
+                assert.deepEqual(report.controllers[0], {
+                    host: 'jenkins',
+                    healthy: false,
+                    version: null,
+                    nodeLabel,
+                    missingPlugins: [],
+                    agents: { online: 0, offline: 0 },
+                    executors: { free: 0, busy: 0 },
+                    problems: [
+                        'Jenkins rejected the credentials of the executor: ' +
+                            'jenkins: system.version: unauthorized'
+                    ]
+                });
+
+                breakerMock.runCommand.withArgs(versionOpts)
+                    .rejects(new Error('CircuitBreaker open'));
+
+                return executor.healthCheck();
+            }).then((report) => {
+                assert.deepEqual(report.controllers[0].problems, ['CircuitBreaker open']);
+            });
+        });
+    });
+
+    describe('console log', () => {
+        const logOpts = sinon.match({ module: 'build', action: 'log' });
+        const tokenConfig = { buildId: config.buildId, token: config.token };
+
+        /**
+         * Read the stream to its end
+         * @method read
+         * @param  {Readable} logStream     Stream to read
+         * @return {Promise}                Resolves to the text
+         */
+        const read = logStream => new Promise((resolve, reject) => {
+            let text = '';
+
+            logStream.on('data', (chunk) => {
+                text += chunk;
+            });
+            logStream.on('end', () => resolve(text));
+            logStream.on('error', reject);
+        });
+
+        beforeEach(() => {
+            executor.logWatchInterval = 0.01;
+        });
+
+        it('streams the console of the recorded build with the token masked', () => {
+            breakerMock.runCommand.withArgs(logOpts).onCall(0).resolves({
+                text: 'pulling\nSD_TOKEN=abc',
+                more: true,
+                size: '21'
+            });
+            breakerMock.runCommand.withArgs(logOpts).onCall(1).resolves({
+                text: 'defg\nfailed',
+                more: false
+            });
+
+            const record = { host: 'jenkins', jobName, buildNumber: 3 };
+
+            return executor.buildStore.set(config.buildId, record)
+                .then(() => executor.logStream(tokenConfig))
+                .then(read)
+                .then((text) => {
+                    assert.strictEqual(text, 'pulling\nSD_TOKEN=***\nfailed');
+                    assert.calledWith(breakerMock.runCommand, {
+                        module: 'build',
+                        action: 'log',
+                        params: [{ name: jobName, number: 3, start: 0, meta: true }]
+                    });
+                    assert.calledWith(breakerMock.runCommand, {
+                        module: 'build',
+                        action: 'log',
+                        params: [{ name: jobName, number: 3, start: '21', meta: true }]
+                    });
+                });
+        });
+
+        it('streams the last build of the job when the number was not recorded', () => {
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'job', action: 'get' }))
+                .resolves(fakeJobInfo);
+            breakerMock.runCommand.withArgs(logOpts).resolves({ text: 'done\n', more: false });
+
+            return executor.logStream(buildIdConfig).then(read).then((text) => {
+                assert.strictEqual(text, 'done\n');
+                assert.calledWith(breakerMock.runCommand, logOpts.and(sinon.match({
+                    params: [sinon.match({ number: buildNumber })]
+                })));
+
+                return executor.buildStore.get(config.buildId);
+            }).then((record) => {
+                // Looking up a build does not save it, the store only grows with start
+                assert.isNull(record);
+            });
+        });
+
+        it('rejects when Jenkins has not started the build', () => {
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'job', action: 'get' }))
+                .resolves({ inQueue: true });
+
+            return executor.logStream(buildIdConfig).then(() => {
+                throw new Error('Should not get here');
+            }, (err) => {
+                assert.instanceOf(err, Executor.BuildNotStartedError);
+                assert.notInstanceOf(err, Executor.JenkinsError);
+                assert.strictEqual(err.message, 'SD-1993 has not started a build');
+                assert.strictEqual(err.buildId, config.buildId);
+            });
+        });
+
+        it('ends the stream with the error when reading the console failed', () => {
+            const error = new Error('jenkins: build.log: SD-1993 1 not found');
+
+            Object.assign(error, { statusCode: 404, module: 'build', action: 'log' });
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'job', action: 'get' }))
+                .resolves(fakeJobInfo);
+            breakerMock.runCommand.withArgs(logOpts).onCall(0).resolves({
+                text: 'pulling\nSD_TOKEN=abc',
+                more: true
+            });
+            breakerMock.runCommand.withArgs(logOpts).onCall(1).rejects(error);
+
+            return executor.logStream(tokenConfig).then(read).then((text) => {
+                assert.strictEqual(text, 'pulling\nSD_TOKEN=abc\n' +
+                    'SD_LOG_STREAM_ERROR: JenkinsNotFoundError: ' +
+                    'jenkins: build.log: SD-1993 1 not found\n');
+            });
+        });
+
+        it('does not write to a destroyed stream when reading the console failed', () => {
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'job', action: 'get' }))
+                .resolves(fakeJobInfo);
+            breakerMock.runCommand.withArgs(logOpts).onCall(0)
+                .resolves({ text: 'waiting\n', more: true });
+            breakerMock.runCommand.withArgs(logOpts).onCall(1)
+                .rejects(new Error('CircuitBreaker open'));
+
+            return executor.logStream(buildIdConfig).then((logStream) => {
+                const data = sinon.spy(() => logStream.destroy());
+
+                logStream.on('data', data);
+
+                return new Promise(resolve => setTimeout(resolve, 50)).then(() => {
+                    assert.calledOnce(data);
+                    assert.calledTwice(breakerMock.runCommand.withArgs(logOpts));
+                });
+            });
+        });
+
+        it('stops reading the console when the stream is destroyed', () => {
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'job', action: 'get' }))
+                .resolves(fakeJobInfo);
+            breakerMock.runCommand.withArgs(logOpts).resolves({ text: 'waiting\n', more: true });
+
+            return executor.logStream(buildIdConfig).then((logStream) => {
+                logStream.on('data', () => logStream.destroy());
+
+                return new Promise(resolve => setTimeout(resolve, 50));
+            }).then(() => {
+                assert.calledTwice(breakerMock.runCommand.withArgs(logOpts));
+            });
+        });
+
+        describe('infrastructure log', () => {
+            const failedWith = (log) => {
+                breakerMock.runCommand.withArgs(sinon.match({ module: 'job', action: 'get' }))
+                    .resolves(fakeCompletedJobInfo);
+                breakerMock.runCommand.withArgs(sinon.match({ module: 'build', action: 'get' }))
+                    .resolves({ number: buildNumber, building: false, result: 'FAILURE' });
+                breakerMock.runCommand.withArgs(logOpts).resolves(log);
+            };
+
+            it('uploads the tail of the console when the launcher did not start', () => {
+                failedWith('one\ntwo\nlogin abcdefg\nSD_BUILD_FAILURE: IMAGE_PULL: no image\n');
+                requestMock.yieldsAsync(null, { statusCode: 202 });
+
+                return executor.infrastructureLog(Object.assign({ lines: 2 }, tokenConfig))
+                    .then((result) => {
+                        const options = requestMock.firstCall.args[0];
+                        const lines = options.body.split('\n');
+
+                        assert.deepEqual(result,
+                            { uploaded: true, failure: 'IMAGE_PULL', lines: 3 });
+                        assert.strictEqual(options.method, 'PUT');
+                        assert.strictEqual(options.url,
+                            'store/v1/builds/1993/infrastructure/log.0');
+                        assert.strictEqual(options.headers.Authorization, 'Bearer abcdefg');
+                        assert.strictEqual(lines.length, 4);
+                        assert.strictEqual(lines[3], '');
+                        const logged = lines.slice(0, 3).map(line =>
+                            _.omit(JSON.parse(line), 't'));
+
+                        assert.deepEqual(logged, [
+                            {
+                                m: 'Console of SD-1993 #1 on jenkins, ' +
+                                    'the build failed before the launcher started (IMAGE_PULL)',
+                                n: 0
+                            },
+                            { m: 'login ***', n: 1 },
+                            { m: 'SD_BUILD_FAILURE: IMAGE_PULL: no image', n: 2 }
+                        ]);
+                    });
+            });
+
+            it('does not upload when the launcher started', () => {
+                failedWith('step failed\n');
+
+                return executor.infrastructureLog(tokenConfig).then((result) => {
+                    assert.deepEqual(result, { uploaded: false, failure: 'BUILD', lines: 0 });
+                    assert.notCalled(requestMock);
+                });
+            });
+
+            it('rejects when the store refused the log', () => {
+                failedWith('SD_BUILD_FAILURE: LAUNCHER: could not start\n');
+                requestMock.yieldsAsync(null, { statusCode: 403 });
+
+                return executor.infrastructureLog(tokenConfig).then(() => {
+                    throw new Error('Should not get here');
+                }, (err) => {
+                    assert.instanceOf(err, Executor.ExecutorError);
+                    assert.deepEqual(_.pick(err, ['message', 'statusCode', 'module', 'buildId']), {
+                        message: 'Store answered 403 to the infrastructure log',
+                        statusCode: 403,
+                        module: 'store',
+                        buildId: config.buildId
+                    });
+
+                    requestMock.yieldsAsync(new Error('ECONNREFUSED'));
+
+                    return executor.infrastructureLog(tokenConfig);
+                }).then(() => {
+                    throw new Error('Should not get here');
+                }, (err) => {
+                    assert.strictEqual(err.message, 'ECONNREFUSED');
+                });
+            });
+
+            it('rejects without a token', () =>
+                executor.infrastructureLog(buildIdConfig).then(() => {
+                    throw new Error('Should not get here');
+                }, (err) => {
+                    assert.strictEqual(err.message, 'buildId and token are required');
+
+                    return executor.logStream({});
+                }).then(() => {
+                    throw new Error('Should not get here');
+                }, (err) => {
+                    assert.strictEqual(err.message, 'buildId is required');
+                })
+            );
+        });
+    });
+
+    describe('multiple controllers', () => {
+        let breakerA;
+        let breakerB;
+        let existsOpts;
+        let buildOpts;
+        let nodeListOpts;
+
+        const computer = (label, idle, offline) => ({
+            offline: !!offline,
+            assignedLabels: [{ name: label }],
+            executors: idle.map(i => ({ idle: i }))
+        });
+
+        beforeEach(() => {
+            breakerA = {
+                runCommand: sinon.stub(),
+                breaker: { isOpen: sinon.stub().returns(false), on: sinon.stub() }
+            };
+            breakerB = {
+                runCommand: sinon.stub(),
+                breaker: { isOpen: sinon.stub().returns(false), on: sinon.stub() }
+            };
+
+            BreakerFactory.reset();
+            BreakerFactory.onCall(0).returns(breakerA);
+            BreakerFactory.onCall(1).returns(breakerB);
+
+            executor = new Executor({
+                ecosystem,
+                jenkins: [{
+                    host: 'jenkins-a',
+                    password: 'fakepassword',
+                    nodeLabel
+                }, {
+                    host: 'jenkins-b',
+                    password: 'fakepassword',
+                    nodeLabel
+                }],
+                buildScript,
+                cleanupScript,
+                cleanupWatchInterval
+            });
+
+            existsOpts = {
+                module: 'job',
+                action: 'exists',
+                params: [{ name: jobName }]
+            };
+
+            buildOpts = {
+                module: 'job',
+                action: 'build',
+                params: [{
+                    name: jobName,
+                    parameters: buildParameters
+                }]
+            };
+
+            nodeListOpts = {
+                module: 'node',
+                action: 'list',
+                params: [{ tree: 'computer[offline,assignedLabels[name],executors[idle]]' }]
+            };
+
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+        });
+
+        it('creates a client and breaker per controller', () => {
+            assert.calledTwice(BreakerFactory);
+            assert.strictEqual(executor.controllers[0].host, 'jenkins-a');
+            assert.strictEqual(executor.controllers[1].host, 'jenkins-b');
+            assert.notStrictEqual(executor.controllers[0].jenkinsClient,
+                executor.controllers[1].jenkinsClient);
+            assert.strictEqual(executor.breaker, breakerA);
+        });
+
+        it('starts the build on the controller with the most free executors', () => {
+            breakerA.runCommand.withArgs(nodeListOpts).resolves([
+                computer(nodeLabel, [true, false]),
+                computer('other-label', [true, true])
+            ]);
+            breakerB.runCommand.withArgs(nodeListOpts).resolves([
+                computer(nodeLabel, [true, true]),
+                computer(nodeLabel, [true], true)
+            ]);
+            breakerB.runCommand.withArgs(existsOpts).resolves(false);
+
+            return executor.start(config).then(() => {
+                assert.calledWith(breakerB.runCommand, buildOpts);
+                assert.neverCalledWith(breakerA.runCommand, buildOpts);
+
+                return executor.buildStore.get(config.buildId);
+            }).then((record) => {
+                assert.strictEqual(record.host, 'jenkins-b');
+            });
+        });
+
+        it('counts the free executors of the node label asked for by the build', () => {
+            const annotatedConfig = Object.assign({
+                annotations: { 'screwdriver.cd/j5sNodeLabel': 'arm64' }
+            }, config);
+
+            executor.allowedNodeLabels = ['arm64'];
+            breakerA.runCommand.withArgs(nodeListOpts).resolves([computer('arm64', [true])]);
+            breakerB.runCommand.withArgs(nodeListOpts)
+                .resolves([computer(nodeLabel, [true, true])]);
+            breakerA.runCommand.withArgs(existsOpts).resolves(false);
+
+            return executor.start(annotatedConfig).then(() => {
+                assert.calledWith(breakerA.runCommand, buildOpts);
+            });
+        });
+
+        it('skips controllers whose fuse is open', () => {
+            breakerB.breaker.isOpen.returns(true);
+            breakerA.runCommand.withArgs(nodeListOpts).resolves([]);
+            breakerA.runCommand.withArgs(existsOpts).resolves(false);
+
+            return executor.start(config).then(() => {
+                assert.calledWith(breakerA.runCommand, buildOpts);
+                assert.notCalled(breakerB.runCommand);
+            });
+        });
+
+        it('skips controllers that cannot report their executors', () => {
+            breakerA.runCommand.withArgs(nodeListOpts).rejects(new Error('node.list error'));
+            breakerB.runCommand.withArgs(nodeListOpts).resolves([]);
+            breakerB.runCommand.withArgs(existsOpts).resolves(false);
+
+            return executor.start(config).then(() => {
+                assert.calledWith(breakerB.runCommand, buildOpts);
+            });
+        });
+
+        it('reaps the other controllers when one cannot list its jobs', () => {
+            const listOpts = sinon.match({ module: 'job', action: 'list' });
+            const destroyOpts = sinon.match({ module: 'job', action: 'destroy' });
+
+            breakerA.runCommand.withArgs(listOpts).rejects(new Error('CircuitBreaker open'));
+            breakerB.runCommand.withArgs(listOpts).resolves([{
+                name: 'SD-1',
+                inQueue: false,
+                lastBuild: { number: 1, building: false, timestamp: 0, duration: 0 }
+            }]);
+            breakerB.runCommand.withArgs(destroyOpts).resolves(null);
+
+            return executor.reap().then((report) => {
+                assert.deepEqual(report.removed, [{
+                    reason: 'FINISHED',
+                    jobName: 'SD-1',
+                    buildId: '1',
+                    host: 'jenkins-b'
+                }]);
+                assert.deepEqual(report.failed, [{
+                    message: 'CircuitBreaker open',
+                    jobName: null,
+                    buildId: null,
+                    host: 'jenkins-a'
+                }]);
+            });
+        });
+
+        it('return error when no controller is available', () => {
+            breakerA.breaker.isOpen.returns(true);
+            breakerB.breaker.isOpen.returns(true);
+
+            return executor.start(config).then(() => {
+                throw new Error('Should not get here');
+            }, (err) => {
+                assert.strictEqual(err.message, 'No Jenkins controller is available');
+            });
+        });
+
+        it('stops the build on the controller it was started on', () => {
+            const destroyOpts = {
+                module: 'job',
+                action: 'destroy',
+                params: [{ name: jobName }]
+            };
+
+            breakerA.runCommand.withArgs(nodeListOpts).resolves([]);
+            breakerB.runCommand.withArgs(nodeListOpts).resolves([computer(nodeLabel, [true])]);
+            breakerB.runCommand.withArgs(existsOpts).resolves(false);
+            breakerB.runCommand.withArgs(sinon.match({ action: 'get' }))
+                .resolves(fakeCompletedJobInfo);
+            breakerB.runCommand.withArgs(destroyOpts).resolves(null);
+
+            return executor.start(config)
+                .then(() => executor.stop(buildIdConfig))
+                .then(() => {
+                    assert.calledWith(breakerB.runCommand, destroyOpts);
+                    assert.neverCalledWith(breakerA.runCommand, destroyOpts);
+
+                    return executor.buildStore.get(config.buildId);
+                })
+                .then((record) => {
+                    assert.isNull(record);
+                });
+        });
+
+        it('looks the job up on every controller when the build was not recorded', () => {
+            breakerA.runCommand.withArgs(existsOpts).rejects(new Error('job.exists error'));
+            breakerB.runCommand.withArgs(existsOpts).resolves(true);
+            breakerB.runCommand.withArgs(sinon.match({ action: 'get' })).resolves({});
+
+            return executor.stats(buildIdConfig).then((stats) => {
+                assert.strictEqual(stats.host, 'jenkins-b');
+            });
+        });
+
+        it('return error when no controller has the job', () => {
+            breakerA.runCommand.withArgs(existsOpts).resolves(false);
+            breakerB.runCommand.withArgs(existsOpts).resolves(false);
+
+            return executor.stop(buildIdConfig).then(() => {
+                throw new Error('Should not get here');
+            }, (err) => {
+                assert.strictEqual(err.message, `No Jenkins controller has the job ${jobName}`);
+            });
+        });
+    });
+
+    describe('pipeline template', () => {
+        let createOpts;
+
+        beforeEach(() => {
+            executor = new Executor({
+                ecosystem,
+                jenkins: {
+                    host: 'jenkins',
+                    password: 'fakepassword',
+                    nodeLabel: "it's-a-label"
+                },
+                jobTemplate: 'pipeline',
+                buildScript: 'echo "$HOME" \\\n  && echo \'done\'\n',
+                cleanupScript
+            });
+
+            createOpts = {
+                module: 'job',
+                action: 'create',
+                params: [{ name: jobName, xml: sinon.match.string }]
+            };
+
+            fsMock.readFile.yieldsAsync(null, PIPELINE_XML);
+            breakerMock.runCommand.withArgs(sinon.match({ action: 'exists' })).resolves(false);
+        });
+
+        it('creates a flow-definition job from the pipeline template', () =>
+            executor.start(config).then(() => {
+                assert.calledWith(fsMock.readFile, pipelineConfigPath);
+                assert.calledWith(breakerMock.runCommand, createOpts);
+                assert.include(breakerMock.runCommand.args[1][0].params[0].xml,
+                    '<flow-definition plugin="workflow-job">');
+            })
+        );
+
+        it('renders the scripts as Groovy single-quoted strings', () =>
+            executor.start(config).then(() => {
+                const xml = breakerMock.runCommand.args[1][0].params[0].xml;
+
+                assert.include(xml, xmlescape("node('it\\'s-a-label')"));
+                assert.include(xml,
+                    xmlescape("sh('echo \"$HOME\" \\\\\\n  && echo \\'done\\'\\n')"));
+                assert.include(xml, xmlescape(`sh('${cleanupScript}')`));
+                assert.include(xml, '} finally {');
+            })
+        );
+
+        it('marks a build the timeout step aborted as timed out', () =>
+            executor.start(config).then(() => {
+                const xml = breakerMock.runCommand.args[1][0].params[0].xml;
+
+                assert.include(xml, "timeout(time: 95, unit: 'MINUTES') {");
+                assert.include(xml, '} catch (error) {');
+                assert.include(xml, xmlescape('if (System.currentTimeMillis() - started >= ' +
+                    '95 * 60000) {'));
+                assert.include(xml,
+                    "echo 'SD_BUILD_TIMEOUT: Jenkins aborted the build after 95 minutes'");
+                assert.include(xml, "currentBuild.description = 'SD_BUILD_TIMEOUT'");
+                assert.include(xml, 'throw error');
+            })
+        );
+
+        it('throws an error for an unknown job template', () => {
+            assert.throws(() => new Executor({
+                ecosystem,
+                jenkins: { host: 'jenkins' },
+                jobTemplate: 'matrix'
+            }), 'Unknown job template "matrix"');
+        });
+    });
+
+    describe('custom job template', () => {
+        const customXml = [
+            '<project><%= jobName %> <%= buildId %> <%= container %> <%= nodeLabel %>',
+            '<% if (timeout) { %><timeout><%= timeout %></timeout><% } %>',
+            '<%- labels["screwdriver.cd/team"] %> <%- env.SD_API %>',
+            '<command><%= buildScript %></command></project>'
+        ].join('');
+        const annotatedConfig = Object.assign({
+            annotations: {
+                'screwdriver.cd/team': 'a&b',
+                'screwdriver.cd/timeout': 30
+            }
+        }, config);
+
+        const createExecutor = extra => new Executor(Object.assign({
+            ecosystem,
+            jenkins: { host: 'jenkins', nodeLabel },
+            buildScript,
+            cleanupScript
+        }, extra));
+
+        beforeEach(() => {
+            fsMock.readFileSync = sinon.stub();
+            breakerMock.runCommand.withArgs(sinon.match({ action: 'exists' })).resolves(false);
+        });
+
+        it('renders the template string with the documented variables', () => {
+            executor = createExecutor({ jobTemplateXml: customXml });
+
+            return executor.start(annotatedConfig).then(() => {
+                assert.notCalled(fsMock.readFile);
+                assert.calledWith(breakerMock.runCommand, {
+                    module: 'job',
+                    action: 'create',
+                    params: [{
+                        name: jobName,
+                        xml: `<project>${jobName} ${config.buildId} ${config.container} ` +
+                            `${nodeLabel}<timeout>30</timeout>a&amp;b api` +
+                            `<command>${xmlescape(buildScript)}</command></project>`
+                    }]
+                });
+            });
+        });
+
+        it('renders only the documented variables as Groovy literals for pipeline', () => {
+            executor = createExecutor({
+                jobTemplate: 'pipeline',
+                jobTemplateXml: '<script>node(<%= nodeLabel %>) { <%= jobName %> ' +
+                    '<%= buildId %> <%= container %> }</script>'
+            });
+
+            return executor.start(config).then(() => {
+                assert.calledWith(breakerMock.runCommand, sinon.match({
+                    action: 'create',
+                    params: [sinon.match({
+                        xml: `<script>node(${xmlescape(`'${nodeLabel}'`)}) { ${jobName} ` +
+                            `${config.buildId} ${config.container} }</script>`
+                    })]
+                }));
+            });
+        });
+
+        it('reads the template file once at construction', () => {
+            fsMock.readFileSync.returns(customXml);
+            executor = createExecutor({ jobTemplateFile: '/etc/sd/job.xml' });
+
+            assert.calledOnce(fsMock.readFileSync);
+            assert.calledWith(fsMock.readFileSync, '/etc/sd/job.xml', 'utf-8');
+
+            return executor.start(config)
+                .then(() => executor.start(config))
+                .then(() => {
+                    assert.calledOnce(fsMock.readFileSync);
+                    assert.notCalled(fsMock.readFile);
+                });
+        });
+
+        it('throws an error for a template with a syntax error', () => {
+            assert.throws(() => createExecutor({ jobTemplateXml: '<project><%= if %></project>' }),
+                /^Invalid job template: /);
+        });
+
+        it('throws an error for a template using an unknown variable', () => {
+            assert.throws(() => createExecutor({ jobTemplateXml: '<project><%= foo %></project>' }),
+                'Invalid job template: foo is not defined');
+        });
+    });
+
+    describe('token credentials', () => {
+        const credentialId = `${jobName}-token`;
+        const createCredentialOpts = {
+            module: 'credentials',
+            action: 'create',
+            params: [{
+                id: credentialId,
+                secret: config.token,
+                description: `Screwdriver token of build ${config.buildId}`
+            }]
+        };
+        const destroyCredentialOpts = {
+            module: 'credentials',
+            action: 'destroy',
+            params: [{ id: credentialId }]
+        };
+
+        const createExecutor = extra => new Executor(Object.assign({
+            ecosystem,
+            jenkins: { host: 'jenkins', nodeLabel },
+            buildScript,
+            cleanupScript,
+            tokenCredentials: true
+        }, extra));
+
+        beforeEach(() => {
+            executor = createExecutor();
+            breakerMock.runCommand.withArgs(sinon.match({ action: 'exists' })).resolves(false);
+        });
+
+        it('saves the token as a credential the job binds instead of a build parameter', () => {
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+
+            return executor.start(config).then(() => {
+                const createCall = breakerMock.runCommand.withArgs(sinon.match({
+                    module: 'job',
+                    action: 'create'
+                }));
+                const xml = createCall.args[0][0].params[0].xml;
+
+                assert.calledWith(breakerMock.runCommand, createCredentialOpts);
+                assert.isTrue(breakerMock.runCommand.withArgs(createCredentialOpts)
+                    .calledBefore(createCall));
+                assert.calledWith(breakerMock.runCommand, {
+                    module: 'job',
+                    action: 'build',
+                    params: [{ name: jobName, parameters: _.omit(buildParameters, 'SD_TOKEN') }]
+                });
+                assert.notInclude(xml, 'PasswordParameterDefinition');
+                assert.notInclude(xml, config.token);
+                assert.include(xml, `<credentialsId>${credentialId}</credentialsId>`);
+                assert.include(xml, '<variable>SD_TOKEN</variable>');
+            });
+        });
+
+        it('binds the credential around the build script of Pipeline jobs', () => {
+            executor = createExecutor({ jobTemplate: 'pipeline' });
+            fsMock.readFile.yieldsAsync(null, PIPELINE_XML);
+
+            return executor.start(config).then(() => {
+                const xml = breakerMock.runCommand.withArgs(sinon.match({
+                    module: 'job',
+                    action: 'create'
+                })).args[0][0].params[0].xml;
+
+                assert.notInclude(xml, 'PasswordParameterDefinition');
+                assert.include(xml,
+                    `withCredentials([string(credentialsId: ${xmlescape(`'${credentialId}'`)}, ` +
+                    "variable: 'SD_TOKEN')]) {");
+            });
+        });
+
+        it('does not create the job when the credential cannot be saved', () => {
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            breakerMock.runCommand.withArgs(createCredentialOpts)
+                .rejects(new Error('credentials.create error'));
+
+            return executor.start(config).then(() => {
+                assert.fail('should not get here');
+            }, (err) => {
+                assert.strictEqual(err.message, 'credentials.create error');
+                assert.neverCalledWith(breakerMock.runCommand, sinon.match({ action: 'create' })
+                    .and(sinon.match({ module: 'job' })));
+            });
+        });
+
+        it('updates the credential left by an earlier start of the build', () => {
+            const error = new Error('credentials.create: conflict');
+
+            error.statusCode = 409;
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            breakerMock.runCommand.withArgs(createCredentialOpts).rejects(error);
+
+            return executor.start(config).then(() => {
+                assert.calledWith(breakerMock.runCommand, Object.assign({}, createCredentialOpts, {
+                    action: 'update'
+                }));
+                assert.calledWith(breakerMock.runCommand, sinon.match({
+                    module: 'job',
+                    action: 'build'
+                }));
+            });
+        });
+
+        it('removes the credential when the start fails after saving it', () => {
+            const error = new Error('job.create error');
+
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            breakerMock.runCommand.withArgs(sinon.match({ module: 'job', action: 'create' }))
+                .rejects(error);
+            breakerMock.runCommand.withArgs(destroyCredentialOpts)
+                .rejects(new Error('credentials.destroy error'));
+
+            return executor.start(config).then(() => {
+                assert.fail('should not get here');
+            }, (err) => {
+                assert.strictEqual(err, error);
+                assert.calledWith(breakerMock.runCommand, destroyCredentialOpts);
+
+                return executor.buildStore.get(config.buildId);
+            }).then((record) => {
+                assert.isNull(record);
+            });
+        });
+
+        it('removes the credential when the build is stopped', () => {
+            breakerMock.runCommand.withArgs(sinon.match({ action: 'get' }))
+                .resolves(fakeCompletedJobInfo);
+
+            return executor.stop(buildIdConfig).then(() => {
+                assert.calledWith(breakerMock.runCommand, destroyCredentialOpts);
+                assert.isTrue(breakerMock.runCommand.withArgs(sinon.match({
+                    module: 'job',
+                    action: 'destroy'
+                })).calledBefore(breakerMock.runCommand.withArgs(destroyCredentialOpts)));
+            });
+        });
+
+        it('removes the credential of reaped jobs', () => {
+            breakerMock.runCommand.withArgs(sinon.match({ action: 'list' })).resolves([{
+                name: jobName,
+                inQueue: false,
+                lastBuild: { number: 1, building: false, timestamp: 0, duration: 0 }
+            }]);
+
+            return executor.reap().then((report) => {
+                assert.deepEqual(report.removed.map(job => job.jobName), [jobName]);
+                assert.calledWith(breakerMock.runCommand, destroyCredentialOpts);
+            });
+        });
+
+        it('keeps sending the token as a build parameter by default', () => {
+            executor = createExecutor({ tokenCredentials: false });
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            breakerMock.runCommand.withArgs(sinon.match({ action: 'get' }))
+                .resolves(fakeCompletedJobInfo);
+
+            return executor.start(config)
+                .then(() => executor.stop(buildIdConfig))
+                .then(() => {
+                    assert.neverCalledWith(breakerMock.runCommand,
+                        sinon.match({ module: 'credentials' }));
+                });
+        });
+    });
+
+    describe('private registries', () => {
+        const registries = [
+            { host: 'registry.example.com', username: 'robot', password: 'registry-secret' },
+            { host: 'ghcr.io', credentialsId: 'ghcr-login' }
+        ];
+        const createCredentialOpts = {
+            module: 'credentials',
+            action: 'create',
+            params: [{
+                id: `${jobName}-registry-0`,
+                username: 'robot',
+                password: 'registry-secret',
+                description: `Screwdriver login to registry.example.com for build ${config.buildId}`
+            }]
+        };
+
+        const createExecutor = extra => new Executor(Object.assign({
+            ecosystem,
+            jenkins: { host: 'jenkins', nodeLabel },
+            docker: { registries }
+        }, extra));
+        const createdXml = () => breakerMock.runCommand.withArgs(sinon.match({
+            module: 'job',
+            action: 'create'
+        })).args[0][0].params[0].xml;
+
+        beforeEach(() => {
+            executor = createExecutor();
+            breakerMock.runCommand.withArgs(sinon.match({ action: 'exists' })).resolves(false);
+        });
+
+        it('logs in to the registries with a docker config of the build', () => {
+            const taskScript = executor._dockerTaskScript(config);
+            const build = taskScript.buildScript;
+
+            assert.include(build, 'export DOCKER_CONFIG="$WORKSPACE/.sd-docker-config"');
+            assert.include(build, [
+                'if ! printf \'%s\\n\' "$SD_REGISTRY_PASSWORD_0" | docker login ' +
+                    '--username "$SD_REGISTRY_USER_0" --password-stdin ' +
+                    '\'registry.example.com\' > /dev/null; then',
+                '    echo \'SD_BUILD_FAILURE: IMAGE_PULL: could not log in to ' +
+                    'registry.example.com\'',
+                '    exit 91',
+                'fi'
+            ].join('\n'));
+            assert.include(build, 'printf \'%s\\n\' "$SD_REGISTRY_PASSWORD_1" | docker login ' +
+                '--username "$SD_REGISTRY_USER_1" --password-stdin \'ghcr.io\'');
+            assert.isBelow(build.indexOf('docker login'), build.indexOf('docker pull'));
+            assert.notInclude(build, 'registry-secret');
+            assert.include(taskScript.cleanupScript, 'rm -rf "$WORKSPACE/.sd-docker-config"');
+        });
+
+        it('does not change the docker config without registries', () => {
+            executor = createExecutor({ docker: {} });
+
+            const taskScript = executor._dockerTaskScript(config);
+
+            assert.notInclude(taskScript.buildScript, 'DOCKER_CONFIG');
+            assert.notInclude(taskScript.cleanupScript, 'sd-docker-config');
+        });
+
+        it('binds the registry logins saved as credentials of the build', () => {
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+
+            return executor.start(config).then(() => {
+                const xml = createdXml();
+
+                assert.calledWith(breakerMock.runCommand, createCredentialOpts);
+                assert.neverCalledWith(breakerMock.runCommand, sinon.match({
+                    module: 'credentials',
+                    params: [sinon.match({ id: 'ghcr-login' })]
+                }));
+                assert.notInclude(xml, 'registry-secret');
+                assert.include(xml, `<credentialsId>${jobName}-registry-0</credentialsId>`);
+                assert.include(xml, '<usernameVariable>SD_REGISTRY_USER_0</usernameVariable>');
+                assert.include(xml, '<credentialsId>ghcr-login</credentialsId>');
+                assert.include(xml, '<passwordVariable>SD_REGISTRY_PASSWORD_1</passwordVariable>');
+                assert.include(xml, '<hudson.model.PasswordParameterDefinition>');
+            });
+        });
+
+        it('binds the registry logins and the token in Pipeline jobs', () => {
+            executor = createExecutor({ jobTemplate: 'pipeline', tokenCredentials: true });
+            fsMock.readFile.yieldsAsync(null, PIPELINE_XML);
+
+            return executor.start(config).then(() => {
+                const id = value => xmlescape(`'${value}'`);
+
+                assert.include(createdXml(), [
+                    `withCredentials([string(credentialsId: ${id(`${jobName}-token`)}, `,
+                    "variable: 'SD_TOKEN'), ",
+                    `usernamePassword(credentialsId: ${id(`${jobName}-registry-0`)}, `,
+                    "usernameVariable: 'SD_REGISTRY_USER_0', ",
+                    "passwordVariable: 'SD_REGISTRY_PASSWORD_0'), ",
+                    `usernamePassword(credentialsId: ${id('ghcr-login')}, `,
+                    "usernameVariable: 'SD_REGISTRY_USER_1', ",
+                    "passwordVariable: 'SD_REGISTRY_PASSWORD_1')]) {"
+                ].join(''));
+            });
+        });
+
+        it('removes the credentials of the build when it is stopped', () => {
+            breakerMock.runCommand.withArgs(sinon.match({ action: 'get' }))
+                .resolves(fakeCompletedJobInfo);
+
+            return executor.stop(buildIdConfig).then(() => {
+                assert.calledWith(breakerMock.runCommand, {
+                    module: 'credentials',
+                    action: 'destroy',
+                    params: [{ id: `${jobName}-registry-0` }]
+                });
+                assert.neverCalledWith(breakerMock.runCommand, {
+                    module: 'credentials',
+                    action: 'destroy',
+                    params: [{ id: 'ghcr-login' }]
+                });
+            });
+        });
+
+        it('throws an error for a registry without credentials', () => {
+            assert.throws(() => createExecutor({
+                docker: { registries: [{ host: 'registry.example.com', username: 'robot' }] }
+            }), 'Registry "registry.example.com" needs a credentialsId or a username and password');
+        });
+    });
+
+    describe('use docker', () => {
+        beforeEach(() => {
+            mockery.deregisterMock('circuit-fuses');
+            mockery.resetCache();
+
+            // eslint-disable-next-line global-require
+            Executor = require('../index');
+
+            executor = new Executor({
+                ecosystem,
+                jenkins: {
+                    host: 'jenkins',
+                    username: 'admin',
+                    password: 'fakepassword'
+                }
+            });
+
+            const taskScript = executor._dockerTaskScript(config);
+
+            compiledJobXml = _.template(TEST_XML)({
+                nodeLabel: 'screwdriver',
+                buildScript: xmlescape(taskScript.buildScript),
+                cleanupScript: xmlescape(taskScript.cleanupScript),
+                jenkinsTimeout: 95,
+                tokenCredentialId: null,
+                registryCredentials: []
+            });
+
+            jenkinsMock.job.create = sinon.stub(executor.jenkinsClient.job, 'create');
+            jenkinsMock.job.config = sinon.stub(executor.jenkinsClient.job, 'config');
+            jenkinsMock.job.exists = sinon.stub(executor.jenkinsClient.job, 'exists');
+            jenkinsMock.job.build = sinon.stub(executor.jenkinsClient.job, 'build');
+            jenkinsMock.job.get = sinon.stub(executor.jenkinsClient.job, 'get');
+        });
+
+        it('calls jenkins function correctly', (done) => {
+            fsMock.readFile.yieldsAsync(null, compiledJobXml);
+            jenkinsMock.job.exists.yieldsAsync(null, false);
+            jenkinsMock.job.create.yieldsAsync(null);
+            jenkinsMock.job.build.yieldsAsync(null);
+            jenkinsMock.job.get.yieldsAsync(null, { inQueue: false, lastBuild: null });
+
+            executor.start(config).then(() => {
+                assert.calledWith(jenkinsMock.job.create, { name: jobName, xml: compiledJobXml });
+                assert.calledWith(jenkinsMock.job.build,
+                                  { name: jobName, parameters: buildParameters });
+                done();
+            });
+        });
+
+        it('run docker command with default options correctly', () => {
+            // build container
+            assert.include(compiledJobXml, xmlescape(shellescape(['--memory', '4g'])));
+            assert.include(compiledJobXml, xmlescape(shellescape(['--memory-swap', '6g'])));
+            assert.include(compiledJobXml, xmlescape(config.container));
+
+            // launcher container
+            assert.include(compiledJobXml,
+                           xmlescape(shellescape(['--label', `sdbuild=${config.buildId}`])));
+            assert.include(compiledJobXml, xmlescape('screwdrivercd/launcher:stable'));
+        });
+
+        it('run docker command with provided options correctly', () => {
+            const executorConfig = {
+                ecosystem,
+                jenkins: {
+                    host: 'jenkins',
+                    username: 'admin',
+                    password: 'fakepassword',
+                    nodeLabel
+                },
+                docker: {
+                    command: '/foo/docker',
+                    memory: '1g',
+                    memoryLimit: '2g',
+                    prefix: 'foo-prefix',
+                    launchVersion: 'foo-ver'
+                }
+            };
+
+            executor = new Executor(executorConfig);
 
             const build = executor._dockerTaskScript(config).buildScript;
 
@@ -476,6 +2819,658 @@ describe('index', () => {
             assert.include(build,
                            `screwdrivercd/launcher:${executorConfig.docker.launchVersion}`);
         });
+
+        describe('build timeout', () => {
+            const timeoutConfig = timeout => Object.assign({
+                annotations: { 'screwdriver.cd/timeout': timeout }
+            }, config);
+
+            it('kills the build container after the default timeout', () => {
+                const build = executor._dockerTaskScript(config).buildScript;
+
+                assert.include(build, '    sleep 5400 &\n');
+                assert.include(build, 'wait "$sleep_pid" && touch "$timeout_dir/timeout" && ' +
+                    `docker kill ${config.buildId}-build\n) 9>&- &`);
+                assert.include(build, `${shellescape(['docker', 'run',
+                    '--name', `${config.buildId}-build`])}`);
+                assert.include(build, 'echo "SD_BUILD_TIMEOUT: build timed out after 90 minutes"');
+                assert.include(build, 'exit 124');
+            });
+
+            it('uses the timeout asked for by the build', () => {
+                const build = executor._dockerTaskScript(timeoutConfig(30)).buildScript;
+
+                assert.include(build, '    sleep 1800 &\n');
+            });
+
+            it('caps the timeout to the maximum', () => {
+                executor.maxBuildTimeout = 60;
+
+                const build = executor._dockerTaskScript(timeoutConfig('600')).buildScript;
+
+                assert.include(build, '    sleep 3600 &\n');
+            });
+
+            it('stops the watchdog and its sleep, and removes its directory', () => {
+                const build = executor._dockerTaskScript(config).buildScript;
+
+                assert.include(build, 'trap \'kill "$sleep_pid" 2>/dev/null; exit 0\' TERM');
+                assert.include(build, 'kill "$watchdog" 2>/dev/null || true\n' +
+                    'wait "$watchdog" 2>/dev/null || true\n');
+                assert.isBelow(build.indexOf('rm -rf "$timeout_dir"'),
+                    build.indexOf('if [ "$timed_out" = true ]; then'));
+            });
+
+            it('ignores a timeout that is not a positive number', () => {
+                assert.strictEqual(executor._buildTimeout(timeoutConfig('soon')), 90);
+                assert.strictEqual(executor._buildTimeout(timeoutConfig(-1)), 90);
+            });
+
+            it('aborts the Jenkins build after the timeout and a grace period', () => {
+                assert.include(compiledJobXml, '<timeoutMinutes>95</timeoutMinutes>');
+                assert.include(compiledJobXml, '<description>SD_BUILD_TIMEOUT</description>');
+            });
+        });
+
+        it('exits with the status of the build container and marks infra failures', () => {
+            const build = executor._dockerTaskScript(config).buildScript;
+
+            assert.include(build, 'wait "$pull" || pull_status=$?');
+            assert.include(build, 'SD_BUILD_FAILURE: IMAGE_PULL: could not pull the images"\n' +
+                '    exit 91');
+            assert.include(build, 'SD_BUILD_FAILURE: LAUNCHER: could not create the launcher ' +
+                'container"\n    exit 92');
+            assert.include(build, 'build_status="$(docker wait 1993-build 2>/dev/null)"');
+            assert.include(build, "docker inspect --format '{{.State.OOMKilled}}' 1993-build");
+            assert.include(build, 'SD_BUILD_FAILURE: OOM_KILLED: the build container ran out ' +
+                'of memory"\n    exit 93');
+            assert.include(build, 'wait "$launcher"; status=$?; wait; exit "$status"');
+            assert.match(build, /exit "\$build_status"\n$/);
+        });
+
+        describe('images', () => {
+            const createExecutor = docker => new Executor({
+                ecosystem,
+                jenkins: { host: 'jenkins', password: 'fakepassword' },
+                docker
+            });
+
+            it('runs the launcher from the configured repository', () => {
+                executor = createExecutor({
+                    launchImage: 'mirror.example.com/sd/launcher',
+                    launchVersion: 'v4.0.1'
+                });
+
+                const build = executor._dockerTaskScript(config).buildScript;
+
+                assert.include(build,
+                    "docker pull 'mirror.example.com/sd/launcher:v4.0.1' &");
+                assert.include(build,
+                    "--entrypoint /bin/true 'mirror.example.com/sd/launcher:v4.0.1'");
+                assert.notInclude(build, 'screwdrivercd/launcher');
+            });
+
+            it('pins the launcher by digest', () => {
+                executor = createExecutor({ launchVersion: 'sha256:0123abcd' });
+
+                assert.include(executor._dockerTaskScript(config).buildScript,
+                    "--entrypoint /bin/true 'screwdrivercd/launcher@sha256:0123abcd'");
+            });
+
+            it('pulls the images only when they are not present', () => {
+                executor = createExecutor({ pullPolicy: 'if-not-present' });
+
+                const build = executor._dockerTaskScript(config).buildScript;
+
+                assert.include(build, "( docker image inspect 'screwdrivercd/launcher:stable' " +
+                    "> /dev/null 2>&1 || docker pull 'screwdrivercd/launcher:stable' ) &");
+                assert.include(build, "( docker image inspect 'node:4' " +
+                    "> /dev/null 2>&1 || docker pull 'node:4' ) &");
+            });
+
+            it('never pulls the images', () => {
+                executor = createExecutor({ pullPolicy: 'never' });
+
+                const build = executor._dockerTaskScript(config).buildScript;
+
+                assert.notInclude(build, 'docker pull');
+                assert.notInclude(build, 'wait $(jobs -p)\n\ndocker run');
+            });
+
+            it('throws an error for an unknown pull policy', () => {
+                assert.throws(() => createExecutor({ pullPolicy: 'sometimes' }),
+                    'Unknown pull policy "sometimes"');
+            });
+        });
+
+        describe('container runtime', () => {
+            const registries = [{ host: 'registry.example.com', credentialsId: 'login' }];
+            const createExecutor = docker => new Executor({
+                ecosystem,
+                jenkins: { host: 'jenkins', password: 'fakepassword' },
+                docker
+            });
+
+            it('writes the script for docker by default', () => {
+                executor = createExecutor({ registries, pullPolicy: 'if-not-present' });
+
+                const taskScript = executor._dockerTaskScript(config);
+                const build = taskScript.buildScript;
+
+                assert.include(build, 'export DOCKER_CONFIG="$WORKSPACE/.sd-docker-config"');
+                assert.include(build, '| docker login --username');
+                assert.include(build, "( docker image inspect 'node:4' > /dev/null 2>&1 " +
+                    "|| docker pull 'node:4' ) &");
+                assert.include(build, "--entrypoint /bin/true 'screwdrivercd/launcher:stable'");
+                assert.include(build, "-e SD_TOKEN 'node:4' --");
+                assert.include(build, 'docker wait 1993-build');
+                assert.include(build, 'docker kill 1993-build');
+                assert.include(build, '--entrypoint /opt/sd/tini --memory 4g --memory-swap 6g ' +
+                    "--volumes-from '1993-init:rw'");
+                assert.notInclude(build, '$limits');
+                assert.notInclude(build, 'docker info');
+                assert.include(taskScript.cleanupScript, 'docker rm -v -f 1993-build 1993-init');
+            });
+
+            it('writes the script for podman', () => {
+                executor = createExecutor({
+                    runtime: 'podman',
+                    registries,
+                    pullPolicy: 'if-not-present'
+                });
+
+                const taskScript = executor._dockerTaskScript(config);
+                const build = taskScript.buildScript;
+
+                assert.include(build,
+                    'export REGISTRY_AUTH_FILE="$WORKSPACE/.sd-docker-config/auth.json"');
+                assert.notInclude(build, 'DOCKER_CONFIG');
+                assert.include(build, '| podman login --username');
+                assert.include(build, "( podman image exists 'docker.io/library/node:4' " +
+                    "|| podman pull 'docker.io/library/node:4' ) &");
+                assert.include(build,
+                    "--entrypoint /bin/true 'docker.io/screwdrivercd/launcher:stable'");
+                assert.include(build, shellescape(['--volumes-from', '1993-init:rw']));
+                assert.include(build, "-e SD_TOKEN 'docker.io/library/node:4' --");
+                assert.include(build, 'podman wait 1993-build');
+                assert.include(build, 'podman kill 1993-build');
+                assert.notInclude(build, 'docker ');
+                assert.include(taskScript.cleanupScript, 'podman rm -v -f 1993-build 1993-init');
+            });
+
+            it('drops the resource limits on rootless podman with cgroups v1', () => {
+                executor = createExecutor({
+                    runtime: 'podman',
+                    resourceTiers: {
+                        LOW: { memory: '1g', memoryLimit: '2g', cpus: 1, shmSize: '1g' }
+                    }
+                });
+
+                const build = executor._dockerTaskScript(Object.assign({
+                    annotations: {
+                        'screwdriver.cd/j5sResources': 'LOW',
+                        'screwdriver.cd/j5sServices': { redis: 'redis:6' }
+                    }
+                }, config)).buildScript;
+
+                assert.include(build, `limits='--memory 1g --memory-swap 2g --cpus 1'
+if [ "$(podman info --format '{{.Host.Security.Rootless}} {{.Host.CgroupsVersion}}' ` +
+                    '2>/dev/null)" = "true v1" ]; then');
+                assert.include(build, '    limits=""\nfi\n');
+                assert.isBelow(build.indexOf('limits='), build.indexOf('podman run'));
+                assert.include(build, '--entrypoint /opt/sd/tini --shm-size 1g $limits ' +
+                    '--network 1993-network');
+                assert.include(build, '--network-alias redis --shm-size 1g $limits ' +
+                    "'docker.io/library/redis:6'");
+                assert.notInclude(build, "'--memory'");
+                assert.notInclude(build, '--memory 1g --memory-swap 2g --cpus 1 ');
+            });
+
+            it('keeps image references that name a registry for podman', () => {
+                executor = createExecutor({
+                    runtime: 'podman',
+                    command: '/usr/local/bin/podman',
+                    launchImage: 'mirror.example.com/sd/launcher'
+                });
+
+                const build = executor._dockerTaskScript(Object.assign({}, config, {
+                    container: 'localhost/node:4'
+                })).buildScript;
+
+                assert.include(build,
+                    "/usr/local/bin/podman pull 'mirror.example.com/sd/launcher:stable' &");
+                assert.include(build, "/usr/local/bin/podman pull 'localhost/node:4' &");
+            });
+
+            it('throws an error for an unknown runtime', () => {
+                assert.throws(() => createExecutor({ runtime: 'rkt' }),
+                    'Unknown container runtime "rkt"');
+            });
+        });
+
+        describe('resource tiers', () => {
+            const resourceTiers = {
+                LOW: { memory: '1g', memoryLimit: '1g', cpus: 1 },
+                TURBO: { memory: '16g', memoryLimit: '20g', cpus: 8, shmSize: '2g' }
+            };
+            const tierConfig = tier => Object.assign({
+                annotations: { 'screwdriver.cd/j5sResources': tier }
+            }, config);
+
+            beforeEach(() => {
+                executor = new Executor({
+                    ecosystem,
+                    jenkins: {
+                        host: 'jenkins',
+                        password: 'fakepassword'
+                    },
+                    docker: { resourceTiers }
+                });
+            });
+
+            it('run docker command with the limits of the tier', () => {
+                const build = executor._dockerTaskScript(tierConfig('TURBO')).buildScript;
+
+                assert.include(build, shellescape(['--memory', '16g']));
+                assert.include(build, shellescape(['--memory-swap', '20g']));
+                assert.include(build, shellescape(['--cpus', '8']));
+                assert.include(build, shellescape(['--shm-size', '2g']));
+            });
+
+            it('falls back to the default limits for keys the tier does not set', () => {
+                executor.resourceTiers.MICRO = { cpus: '0.5' };
+
+                const build = executor._dockerTaskScript(tierConfig('MICRO')).buildScript;
+
+                assert.include(build, shellescape(['--memory', '4g']));
+                assert.include(build, shellescape(['--memory-swap', '6g']));
+                assert.include(build, shellescape(['--cpus', '0.5']));
+                assert.notInclude(build, '--shm-size');
+            });
+
+            it('limits the swap of a tier setting only memory to its memory', () => {
+                executor.resourceTiers.BIG = { memory: '16g' };
+
+                const build = executor._dockerTaskScript(tierConfig('BIG')).buildScript;
+
+                assert.include(build, shellescape(['--memory', '16g']));
+                assert.include(build, shellescape(['--memory-swap', '16g']));
+            });
+
+            it('throws an error for a tier with a memoryLimit below its memory', () => {
+                const createWithTier = tier => new Executor({
+                    ecosystem,
+                    jenkins: { host: 'jenkins', password: 'fakepassword' },
+                    docker: { resourceTiers: { SMALL: tier } }
+                });
+
+                assert.throws(() => createWithTier({ memoryLimit: '2048m' }),
+                    'Resource tier "SMALL" has a memoryLimit (2048m) below its memory (4g)');
+                assert.throws(() => createWithTier({ memory: '1.5G', memoryLimit: '1g' }),
+                    'Resource tier "SMALL" has a memoryLimit (1g) below its memory (1.5G)');
+                assert.doesNotThrow(() => createWithTier({ memory: '4096m', memoryLimit: '4g' }));
+                assert.doesNotThrow(() => createWithTier({ memory: '8g', memoryLimit: '-1' }));
+                assert.doesNotThrow(() => createWithTier({ memory: '8g' }));
+                // Sizes docker cannot read either are left for docker to refuse
+                assert.doesNotThrow(() => createWithTier({ memory: 'lots', memoryLimit: '1g' }));
+            });
+
+            it('does not limit cpus without a tier', () => {
+                const build = executor._dockerTaskScript(config).buildScript;
+
+                assert.notInclude(build, '--cpus');
+                assert.notInclude(build, '--shm-size');
+            });
+
+            it('return error when the tier is not configured', () => {
+                const createStub = sinon.stub(executor.jenkinsClient.job, 'create');
+
+                return executor.start(tierConfig('HUGE')).then(() => {
+                    throw new Error('Should not get here');
+                }, (err) => {
+                    assert.strictEqual(err.message, 'Resource tier "HUGE" is not configured');
+                    assert.notCalled(fsMock.readFile);
+                    assert.notCalled(createStub);
+                });
+            });
+        });
+
+        describe('dependency cache', () => {
+            const pipelineConfig = Object.assign({
+                pipeline: { id: 42, scmContext: 'github:github.com' }
+            }, config);
+
+            beforeEach(() => {
+                executor = new Executor({
+                    ecosystem,
+                    jenkins: { host: 'jenkins', password: 'fakepassword' },
+                    docker: {
+                        prefix: 'sd-',
+                        cache: { paths: ['/root/.npm', '/root/.m2'], maxSize: 2048 }
+                    }
+                });
+            });
+
+            it('mounts the caches of the pipeline when the build gets their lock', () => {
+                const build = executor._dockerTaskScript(pipelineConfig).buildScript;
+                const volumes = executor._cacheVolumes(pipelineConfig);
+
+                assert.deepEqual(volumes.map(volume => volume.path), ['/root/.npm', '/root/.m2']);
+                assert.match(volumes[0].name, /^sd-sdcache-42-[0-9a-f]{8}$/);
+                assert.notEqual(volumes[0].name, volumes[1].name);
+                assert.include(build, "exec 9> '/tmp/sd-cache/sd-42.lock'\nif flock -n 9; then");
+                assert.include(build, "touch '/tmp/sd-cache/sd-42.used'");
+                assert.include(build, `    if ! {\n        ${shellescape([
+                    'docker', 'volume', 'create', '--label', 'sdcache=sd-42', volumes[0].name
+                ])} > /dev/null &&\n        ${shellescape([
+                    'docker', 'volume', 'create', '--label', 'sdcache=sd-42', volumes[1].name
+                ])} > /dev/null\n    }; then\n        echo "SD_BUILD_FAILURE: IMAGE_PULL: ` +
+                    'could not create the dependency cache volumes"\n        exit 91\n    fi\n');
+                assert.include(build, `set -- ${shellescape([
+                    '--volume', `${volumes[0].name}:/root/.npm`,
+                    '--volume', `${volumes[1].name}:/root/.m2`
+                ])}\nelse`);
+                assert.include(build, "-e SD_TOKEN \"$@\" 'node:4' --");
+            });
+
+            it('uses the caches of the pipeline the build is started with', () => {
+                const createStub = sinon.stub(executor.jenkinsClient.job, 'create');
+
+                fsMock.readFile.yieldsAsync(null, TEST_XML);
+                sinon.stub(executor.jenkinsClient.job, 'exists').yieldsAsync(null, false);
+                createStub.yieldsAsync(null);
+                sinon.stub(executor.jenkinsClient.job, 'build').yieldsAsync(null);
+                sinon.stub(executor.jenkinsClient.job, 'get')
+                    .yieldsAsync(null, { inQueue: false, lastBuild: null });
+
+                return executor.start(pipelineConfig).then(() => {
+                    assert.include(createStub.firstCall.args[0].xml,
+                        xmlescape("exec 9> '/tmp/sd-cache/sd-42.lock'"));
+                });
+            });
+
+            it('keeps the volume of a path when the paths change', () => {
+                const volume = executor._cacheVolumes(pipelineConfig)[1];
+
+                executor.cache.paths = ['/root/.m2'];
+
+                assert.deepEqual(executor._cacheVolumes(pipelineConfig), [volume]);
+            });
+
+            it('removes the least recently used caches over the maximum size', () => {
+                const cleanup = executor._dockerTaskScript(pipelineConfig).cleanupScript;
+
+                assert.include(cleanup, 'over 2048 MB');
+                assert.include(cleanup, 'docker volume ls -q --filter "label=sdcache=$key"');
+                assert.include(cleanup, 'if [ "$cache_size" -gt 2048 ]; then');
+                assert.include(cleanup, "--entrypoint du 'screwdrivercd/launcher:stable' -sm");
+                assert.include(cleanup, 'docker volume rm $volumes');
+            });
+
+            it('does not use a cache without cache paths or a pipeline', () => {
+                const build = executor._dockerTaskScript(config).buildScript;
+
+                assert.notInclude(build, 'flock');
+                assert.notInclude(build, '"$@"');
+
+                executor = new Executor({
+                    ecosystem,
+                    jenkins: { host: 'jenkins', password: 'fakepassword' }
+                });
+
+                const taskScript = executor._dockerTaskScript(pipelineConfig);
+
+                assert.notInclude(taskScript.buildScript, 'flock');
+                assert.notInclude(taskScript.cleanupScript, 'flock');
+            });
+        });
+
+        describe('services', () => {
+            const serviceConfig = Object.assign({}, config, {
+                annotations: {
+                    'screwdriver.cd/j5sResources': 'LOW',
+                    'screwdriver.cd/j5sServices': {
+                        postgres: { image: 'postgres:13', env: { POSTGRES_PASSWORD: 'secret' } },
+                        redis: 'redis:6'
+                    }
+                }
+            });
+
+            beforeEach(() => {
+                executor = new Executor({
+                    ecosystem,
+                    jenkins: { host: 'jenkins', password: 'fakepassword' },
+                    docker: {
+                        prefix: 'sd-',
+                        resourceTiers: { LOW: { memory: '1g', memoryLimit: '1g', cpus: 1 } }
+                    }
+                });
+            });
+
+            it('starts the services on the network of the build', () => {
+                const build = executor._dockerTaskScript(serviceConfig).buildScript;
+
+                assert.include(build, "docker pull 'postgres:13' &");
+                assert.include(build, "docker pull 'redis:6' &");
+                assert.include(build, `if ! ${shellescape([
+                    'docker', 'network', 'create', '--label', 'sdbuild=sd-1993', 'sd-1993-network'
+                ])} > /dev/null; then`);
+                assert.include(build, `if ! ${shellescape([
+                    'docker', 'run', '--detach',
+                    '--name', 'sd-1993-service-postgres',
+                    '--label', 'sdbuild=sd-1993',
+                    '--network', 'sd-1993-network',
+                    '--network-alias', 'postgres',
+                    '--memory', '1g', '--memory-swap', '1g', '--cpus', '1',
+                    '-e', 'POSTGRES_PASSWORD=secret',
+                    'postgres:13'
+                ])} > /dev/null; then
+    echo "SD_BUILD_FAILURE: SERVICE: could not start the service postgres"
+    exit 94
+fi`);
+                assert.include(build,
+                    "--network-alias redis --memory 1g --memory-swap 1g --cpus 1 'redis:6'");
+                assert.isBelow(build.indexOf('sd-1993-service-redis'),
+                    build.indexOf('sd-1993-build'));
+                assert.include(build, shellescape([
+                    '--cpus', '1',
+                    '--network', 'sd-1993-network',
+                    '--volumes-from', 'sd-1993-init:rw'
+                ]));
+            });
+
+            it('removes the services and their network', () => {
+                const cleanup = executor._dockerTaskScript(serviceConfig).cleanupScript;
+
+                assert.include(cleanup, 'docker rm -v -f sd-1993-build sd-1993-init ' +
+                    'sd-1993-service-postgres sd-1993-service-redis\n' +
+                    'docker network rm sd-1993-network > /dev/null 2>&1 || true');
+            });
+
+            it('does not create a network without services', () => {
+                const taskScript = executor._dockerTaskScript(config);
+
+                assert.notInclude(taskScript.buildScript, '--network');
+                assert.notInclude(taskScript.cleanupScript, 'network');
+            });
+
+            it('rejects invalid services', () => {
+                const servicesConfig = services => Object.assign({}, config, {
+                    annotations: { 'screwdriver.cd/j5sServices': services }
+                });
+
+                assert.throws(() => executor._buildServices(servicesConfig(['redis:6'])),
+                    'Annotation "screwdriver.cd/j5sServices" must be an object');
+                assert.throws(() => executor._buildServices(servicesConfig({ 'my db': 'mysql' })),
+                    'Service name "my db" must be lowercase letters, digits and dashes');
+                assert.throws(() => executor._buildServices(servicesConfig({ db: { env: {} } })),
+                    'Service "db" needs an image');
+            });
+
+            it('return error when the services are used with a network run option', () => {
+                const createStub = sinon.stub(executor.jenkinsClient.job, 'create');
+
+                executor.runOptions.push('--network=ci');
+
+                return executor.start(serviceConfig).then(() => {
+                    throw new Error('Should not get here');
+                }, (err) => {
+                    assert.strictEqual(err.message,
+                        'Services cannot be used with the run option "--network"');
+                    assert.notCalled(createStub);
+                });
+            });
+        });
+
+        describe('extra run arguments', () => {
+            const docker = {
+                env: { HTTP_PROXY: 'http://proxy:3128' },
+                volumes: ['/etc/ssl/certs:/etc/ssl/certs:ro'],
+                runOptions: ['--network=ci'],
+                allowedEnv: ['NODE_ENV'],
+                allowedVolumes: ['npm-cache:/root/.npm'],
+                allowedRunOptions: ['--dns', '--init']
+            };
+            const annotatedConfig = annotations => Object.assign({}, config, { annotations });
+
+            beforeEach(() => {
+                // The tests change the lists of the executor
+                executor = new Executor({
+                    ecosystem,
+                    jenkins: { host: 'jenkins', password: 'fakepassword' },
+                    docker: _.cloneDeep(docker)
+                });
+            });
+
+            it('run docker command with the operator and allowed build arguments', () => {
+                const build = executor._dockerTaskScript(annotatedConfig({
+                    'screwdriver.cd/j5sEnv': { NODE_ENV: 'test it' },
+                    'screwdriver.cd/j5sVolumes': 'npm-cache:/root/.npm',
+                    'screwdriver.cd/j5sRunOptions': ['--dns=10.0.0.2', '--init']
+                })).buildScript;
+
+                assert.include(build, shellescape([
+                    '-e', 'SD_TOKEN',
+                    '-e', 'HTTP_PROXY=http://proxy:3128',
+                    '-e', 'NODE_ENV=test it',
+                    '--volume', '/etc/ssl/certs:/etc/ssl/certs:ro',
+                    '--volume', 'npm-cache:/root/.npm',
+                    '--network=ci', '--dns=10.0.0.2', '--init',
+                    'node:4'
+                ]));
+            });
+
+            it('lets the build override an allowed operator env var', () => {
+                executor.allowedEnv.push('HTTP_PROXY');
+
+                const build = executor._dockerTaskScript(annotatedConfig({
+                    'screwdriver.cd/j5sEnv': { HTTP_PROXY: '' }
+                })).buildScript;
+
+                assert.include(build, "-e 'HTTP_PROXY='");
+                assert.notInclude(build, 'proxy:3128');
+            });
+
+            it('rejects arguments the operator did not allow', () => {
+                assert.throws(() => executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sEnv': { LD_PRELOAD: '/tmp/x.so' }
+                })), 'Environment variable "LD_PRELOAD" is not allowed');
+                assert.throws(() => executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sEnv': 'NODE_ENV=test'
+                })), 'Annotation "screwdriver.cd/j5sEnv" must be an object');
+                assert.throws(() => executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sVolumes': ['/:/host']
+                })), 'Volume "/:/host" is not allowed');
+                assert.throws(() => executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sRunOptions': ['--network=other']
+                })), 'Run option "--network" is not allowed');
+            });
+
+            it('rejects unsafe and reserved run options unless enabled', () => {
+                executor.allowedRunOptions.push('--privileged', '--volume');
+
+                assert.throws(() => executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sRunOptions': ['--privileged']
+                })), 'Run option "--privileged" is not enabled');
+                assert.throws(() => executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sRunOptions': ['--volume=/:/host']
+                })), 'Run option "--volume" is set by the executor');
+                assert.throws(() => executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sRunOptions': ['-v', '/:/host']
+                })), 'Run option "-v" must be written as --name or --name=value');
+
+                executor.unsafeRunOptions.push('--privileged');
+
+                assert.deepEqual(executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sRunOptions': ['--privileged']
+                })).slice(-2), ['--network=ci', '--privileged']);
+            });
+
+            it('rejects joining the namespaces of the host or other containers', () => {
+                executor.allowedRunOptions.push('--network', '--pid');
+                executor.unsafeRunOptions.push('--pid');
+
+                assert.throws(() => executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sRunOptions': ['--network=host']
+                })), 'Run option "--network=host" is not enabled');
+                assert.throws(() => executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sRunOptions': ['--net=container:1994-build']
+                })), 'Run option "--network=container:1994-build" is not enabled');
+                assert.throws(() => executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sRunOptions': ['--pid=host']
+                })), 'Run option "--pid=host" is not enabled');
+                assert.throws(() => executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sRunOptions': ['--network=ns:/proc/1/ns/net']
+                })), 'Run option "--network=ns:/proc/1/ns/net" is not enabled');
+
+                executor.unsafeRunOptions.push('--network=host');
+
+                assert.deepEqual(executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sRunOptions': ['--network=host', '--pid=private']
+                })).slice(-2), ['--network=host', '--pid=private']);
+            });
+
+            it('treats --net as --network', () => {
+                executor.allowedRunOptions.push('--net');
+
+                assert.throws(() => executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sRunOptions': ['--net=other']
+                })), 'Run option "--network" is not allowed');
+
+                executor.runOptions = ['--net=ci'];
+
+                assert.throws(() => executor._buildRunArguments(annotatedConfig({
+                    'screwdriver.cd/j5sServices': { redis: 'redis:6' }
+                })), 'Services cannot be used with the run option "--network"');
+            });
+
+            it('throws an error for an unsafe operator run option that is not enabled', () => {
+                assert.throws(() => new Executor({
+                    ecosystem,
+                    jenkins: { host: 'jenkins', password: 'fakepassword' },
+                    docker: { runOptions: ['--cap-add=SYS_ADMIN'] }
+                }), 'Run option "--cap-add" is not enabled');
+                assert.doesNotThrow(() => new Executor({
+                    ecosystem,
+                    jenkins: { host: 'jenkins', password: 'fakepassword' },
+                    docker: { runOptions: ['--cap-add=SYS_ADMIN'], unsafeRunOptions: ['--cap-add'] }
+                }));
+            });
+
+            it('return error when the build asks for a disallowed argument', () => {
+                const createStub = sinon.stub(executor.jenkinsClient.job, 'create');
+
+                return executor.start(annotatedConfig({
+                    'screwdriver.cd/j5sRunOptions': '--privileged'
+                })).then(() => {
+                    throw new Error('Should not get here');
+                }, (err) => {
+                    assert.strictEqual(err.message, 'Run option "--privileged" is not enabled');
+                    assert.notCalled(fsMock.readFile);
+                    assert.notCalled(createStub);
+                });
+            });
+        });
     });
 
     describe('run without Mocked Breaker', () => {
@@ -502,6 +3497,7 @@ describe('index', () => {
             jenkinsMock.job.config = sinon.stub(executor.jenkinsClient.job, 'config');
             jenkinsMock.job.exists = sinon.stub(executor.jenkinsClient.job, 'exists');
             jenkinsMock.job.build = sinon.stub(executor.jenkinsClient.job, 'build');
+            jenkinsMock.job.get = sinon.stub(executor.jenkinsClient.job, 'get');
         });
 
         it('calls jenkins function correctly', (done) => {
@@ -509,6 +3505,7 @@ describe('index', () => {
             jenkinsMock.job.exists.yieldsAsync(null, false);
             jenkinsMock.job.create.yieldsAsync(null);
             jenkinsMock.job.build.yieldsAsync(null);
+            jenkinsMock.job.get.yieldsAsync(null, { inQueue: false, lastBuild: null });
 
             executor.start(config).then(() => {
                 assert.calledWith(jenkinsMock.job.create, { name: jobName, xml: compiledJobXml });
@@ -517,5 +3514,283 @@ describe('index', () => {
                 done();
             });
         });
+
+        it('sends the credentials in the Authorization header instead of the URL', () => {
+            const opts = executor.jenkinsClient._opts;
+
+            assert.strictEqual(executor.baseUrl, 'http://jenkins:8080');
+            assert.isNull(opts.baseUrl.auth);
+            assert.strictEqual(opts.baseUrl.protocol, 'http:');
+            assert.strictEqual(opts.headers.authorization,
+                `Basic ${Buffer.from('admin:fakepassword').toString('base64')}`);
+        });
+
+        it('connects over https with the given CA, client certificate and path prefix', () => {
+            executor = new Executor({
+                ecosystem,
+                jenkins: {
+                    protocol: 'https',
+                    host: 'jenkins.example.com',
+                    pathPrefix: 'jenkins/',
+                    token: 'api-token',
+                    password: 'fakepassword',
+                    ca: 'ca-pem',
+                    cert: 'cert-pem',
+                    key: 'key-pem',
+                    rejectUnauthorized: false
+                }
+            });
+
+            const opts = executor.jenkinsClient._opts;
+
+            assert.strictEqual(executor.baseUrl, 'https://jenkins.example.com:443/jenkins');
+            assert.strictEqual(opts.baseUrl.path, '/jenkins');
+            assert.strictEqual(opts.headers.authorization,
+                `Basic ${Buffer.from('screwdriver:api-token').toString('base64')}`);
+            assert.strictEqual(opts.ca, 'ca-pem');
+            assert.strictEqual(opts.cert, 'cert-pem');
+            assert.strictEqual(opts.key, 'key-pem');
+            assert.isFalse(opts.rejectUnauthorized);
+        });
+
+        it('does not send an Authorization header without credentials', () => {
+            executor = new Executor({ ecosystem, jenkins: { host: 'jenkins' } });
+
+            assert.isUndefined(executor.jenkinsClient._opts.headers.authorization);
+        });
+
+        it('redacts the credentials from errors', (done) => {
+            const basicAuth = Buffer.from('admin:fakepassword').toString('base64');
+
+            jenkinsMock.job.exists.yieldsAsync(
+                new Error(`jenkins: job.exists: fakepassword ${basicAuth} refused`));
+
+            executor._jenkinsCommand(executor.jenkinsClient, ['fakepassword', basicAuth], {
+                module: 'job',
+                action: 'exists',
+                params: [{ name: jobName }]
+            }, (err) => {
+                assert.strictEqual(err.message, 'jenkins: job.exists: *** *** refused');
+                done();
+            });
+        });
+
+        it('rejects with a typed error of the failed request', () => {
+            const error = new Error('jenkins: job.exists: unauthorized');
+
+            error.statusCode = 401;
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            jenkinsMock.job.exists.yieldsAsync(error);
+
+            return executor.start(config).then(() => {
+                throw new Error('Should not get here');
+            }, (err) => {
+                assert.instanceOf(err, Executor.JenkinsAuthError);
+                assert.instanceOf(err, Executor.JenkinsError);
+                assert.strictEqual(err.name, 'JenkinsAuthError');
+                assert.strictEqual(err.message, 'jenkins: job.exists: unauthorized');
+                assert.deepEqual(_.pick(err, [
+                    'statusCode', 'module', 'action', 'jobName', 'buildId', 'cause'
+                ]), {
+                    statusCode: 401,
+                    module: 'job',
+                    action: 'exists',
+                    jobName,
+                    buildId: config.buildId,
+                    cause: error
+                });
+                assert.calledOnce(jenkinsMock.job.exists);
+            });
+        });
+
+        it('measures the requests sent through the circuit breaker', () => {
+            fsMock.readFile.yieldsAsync(null, TEST_XML);
+            jenkinsMock.job.exists.yieldsAsync(null, true);
+            jenkinsMock.job.config.yieldsAsync(new Error('jenkins: job.config: refused'));
+
+            return executor.start(config).then(() => {
+                throw new Error('Should not get here');
+            }, () => {
+                const metrics = executor.metrics();
+
+                assert.include(metrics, 'j5s_jenkins_requests_total{host="jenkins",' +
+                    'operation="job.exists",result="success"} 1\n');
+                assert.include(metrics, 'j5s_jenkins_requests_total{host="jenkins",' +
+                    'operation="job.config",result="failure"} 1\n');
+                assert.include(metrics, 'j5s_circuit_breaker_open{host="jenkins"} 0\n');
+            });
+        });
+
+        it('reads the version and plugins of Jenkins', () => {
+            const get = sinon.stub(executor.jenkinsClient, '_get');
+            const callback = sinon.stub();
+            const next = sinon.stub();
+            const error = new Error('forbidden');
+            const plugins = [{ shortName: 'postbuild-task', active: true }];
+
+            executor.jenkinsClient.system.version(callback);
+            executor.jenkinsClient.system.plugins(callback);
+
+            assert.calledWith(get, sinon.match({ name: 'system.version', path: '/api/json' }),
+                sinon.match.func, callback);
+            assert.calledWith(get, sinon.match({
+                name: 'system.plugins',
+                path: '/pluginManager/api/json'
+            }), sinon.match.func, callback);
+
+            get.args[0][1]({ res: { headers: { 'x-jenkins': '2.346.1' } } }, next);
+            get.args[0][1]({ res: { headers: {} } }, next);
+            get.args[0][1]({ err: error }, next);
+            get.args[1][1]({ res: { body: { plugins } } }, next);
+            get.args[1][1]({ res: { body: {} } }, next);
+            get.args[1][1]({ err: error }, next);
+
+            assert.deepEqual(next.args, [
+                [false, null, '2.346.1'], [false, null, null], [error],
+                [false, null, plugins], [false, null, []], [error]
+            ]);
+        });
+
+        it('posts term and kill to the build', () => {
+            const post = sinon.stub(executor.jenkinsClient, '_post');
+            const callback = sinon.stub();
+
+            executor.jenkinsClient.build.term({ name: jobName, number: 3 }, callback);
+
+            assert.calledWith(post, {
+                name: 'build.term',
+                path: '/job/{name}/{number}/{action}',
+                params: { name: jobName, number: 3, action: 'term' }
+            }, sinon.match.func, callback);
+
+            const middleware = post.args[0][1];
+            const next = sinon.stub();
+            const error = new Error('not found');
+
+            middleware({ res: { statusCode: 302 }, err: new Error('found') }, next);
+            middleware({ res: { statusCode: 404 }, err: error }, next);
+            middleware({ res: { statusCode: 200 } }, next);
+
+            assert.deepEqual(next.args, [[false], [error], [false]]);
+            assert.isFunction(executor.jenkinsClient.build.kill);
+        });
+
+        it('posts the credentials to create and destroy', () => {
+            const post = sinon.stub(executor.jenkinsClient, '_post');
+            const callback = sinon.stub();
+
+            executor.jenkinsClient.credentials.create({
+                id: 'SD-1-token',
+                secret: 'a<b'
+            }, callback);
+            executor.jenkinsClient.credentials.destroy({ id: 'SD-1-token' }, callback);
+            executor.jenkinsClient.credentials.update({
+                id: 'SD-1-token',
+                secret: 'a<b'
+            }, callback);
+
+            assert.calledWith(post, sinon.match({
+                name: 'credentials.create',
+                path: '/credentials/store/system/domain/_/createCredentials'
+            }), sinon.match.func, callback);
+            assert.strictEqual(post.args[0][0].body.toString(), [
+                '<org.jenkinsci.plugins.plaincredentials.impl.StringCredentialsImpl>',
+                '<scope>GLOBAL</scope><id>SD-1-token</id><description></description>',
+                '<secret>a&lt;b</secret>',
+                '</org.jenkinsci.plugins.plaincredentials.impl.StringCredentialsImpl>'
+            ].join(''));
+            assert.calledWith(post, {
+                name: 'credentials.destroy',
+                path: '/credentials/store/system/domain/_/credential/{id}/doDelete',
+                params: { id: 'SD-1-token' }
+            }, sinon.match.func, callback);
+
+            assert.calledWith(post, sinon.match({
+                name: 'credentials.update',
+                path: '/credentials/store/system/domain/_/credential/{id}/config.xml',
+                params: { id: 'SD-1-token' }
+            }), sinon.match.func, callback);
+            assert.strictEqual(post.args[2][0].body.toString(),
+                post.args[0][0].body.toString());
+
+            const middleware = post.args[1][1];
+            const next = sinon.stub();
+            const error = new Error('forbidden');
+
+            middleware({ res: { statusCode: 302 }, err: new Error('found') }, next);
+            middleware({ res: { statusCode: 404 }, err: new Error('not found') }, next);
+            middleware({ res: { statusCode: 403 }, err: error }, next);
+
+            assert.deepEqual(next.args, [[false], [false], [error]]);
+        });
+
+        it('posts username with password credentials', () => {
+            const post = sinon.stub(executor.jenkinsClient, '_post');
+
+            executor.jenkinsClient.credentials.create({
+                id: 'SD-1-registry-0',
+                username: 'robot',
+                password: 'a&b',
+                description: 'login'
+            }, sinon.stub());
+
+            assert.strictEqual(post.args[0][0].body.toString(), [
+                '<com.cloudbees.plugins.credentials.impl.UsernamePasswordCredentialsImpl>',
+                '<scope>GLOBAL</scope><id>SD-1-registry-0</id><description>login</description>',
+                '<username>robot</username><password>a&amp;b</password>',
+                '</com.cloudbees.plugins.credentials.impl.UsernamePasswordCredentialsImpl>'
+            ].join(''));
+        });
+
+        describe('with several controllers', () => {
+            const computers = idle => [{
+                offline: false,
+                assignedLabels: [{ name: nodeLabel }],
+                executors: idle.map(i => ({ idle: i }))
+            }];
+            let nodeListA;
+
+            beforeEach(() => {
+                executor = new Executor({
+                    ecosystem,
+                    jenkins: [
+                        { host: 'jenkins-a', password: 'fakepassword', nodeLabel },
+                        { host: 'jenkins-b', password: 'fakepassword', nodeLabel }
+                    ],
+                    fusebox: { breaker: { maxFailures: 1, resetTimeout: 20 } }
+                });
+
+                nodeListA = sinon.stub(executor.controllers[0].jenkinsClient.node, 'list');
+                sinon.stub(executor.controllers[1].jenkinsClient.node, 'list')
+                    .yieldsAsync(null, computers([true]));
+            });
+
+            it('picks a controller again once its fuse is half-open', () => {
+                const controllerA = executor.controllers[0];
+
+                nodeListA.onFirstCall().yieldsAsync(new Error('node.list error'));
+                nodeListA.yieldsAsync(null, computers([true, true]));
+
+                return executor._selectController()
+                    .then((controller) => {
+                        assert.strictEqual(controller.host, 'jenkins-b');
+                        assert.isTrue(controllerA.breaker.breaker.isOpen());
+                        assert.include(executor.metrics(),
+                            'j5s_circuit_breaker_open{host="jenkins-a"} 1\n');
+
+                        return new Promise(resolve => setTimeout(resolve, 40));
+                    })
+                    .then(() => {
+                        assert.include(executor.metrics(),
+                            'j5s_circuit_breaker_open{host="jenkins-a"} 0\n');
+
+                        return executor._selectController();
+                    })
+                    .then((controller) => {
+                        assert.strictEqual(controller.host, 'jenkins-a');
+                        assert.isTrue(controllerA.breaker.isClosed());
+                    });
+            });
+        });
     });
 });
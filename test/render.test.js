@@ -0,0 +1,77 @@
+'use strict';
+
+const assert = require('chai').assert;
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RENDER = path.resolve(__dirname, '../bin/render.js');
+
+describe('render', () => {
+    let dir;
+    let optionsFile;
+    let configFile;
+
+    /**
+     * Run the render command
+     * @method render
+     * @param  {Array}    args          Command line arguments
+     * @return {Promise}                Resolves to { code, stdout, stderr }
+     */
+    function render(args) {
+        return new Promise((resolve) => {
+            childProcess.execFile(process.execPath, [RENDER].concat(args), (err, stdout, stderr) =>
+                resolve({ code: err ? err.code : 0, stdout, stderr }));
+        });
+    }
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'j5s-render-'));
+        optionsFile = path.join(dir, 'options.json');
+        configFile = path.join(dir, 'build.json');
+
+        fs.writeFileSync(optionsFile, JSON.stringify({
+            ecosystem: { api: 'api', store: 'store' },
+            jenkins: { host: 'jenkins', password: 'fakepassword', nodeLabel: 'linux' }
+        }));
+        fs.writeFileSync(configFile, JSON.stringify({
+            buildId: 1993,
+            container: 'node:4',
+            token: 'abcdefg'
+        }));
+    });
+
+    after(() => {
+        fs.unlinkSync(optionsFile);
+        fs.unlinkSync(configFile);
+        fs.rmdirSync(dir);
+    });
+
+    it('prints the job XML', () =>
+        render([optionsFile, configFile]).then((result) => {
+            assert.strictEqual(result.code, 0);
+            assert.match(result.stdout, /^<\?xml/);
+            assert.include(result.stdout, '<assignedNode>linux</assignedNode>');
+            assert.include(result.stdout, 'docker run --name 1993-build');
+        }));
+
+    it('prints everything as JSON with the token masked', () =>
+        render(['--json', optionsFile, configFile]).then((result) => {
+            const rendered = JSON.parse(result.stdout);
+
+            assert.strictEqual(result.code, 0);
+            assert.strictEqual(rendered.jobName, 'SD-1993');
+            assert.include(rendered.buildScript, 'docker pull');
+            assert.include(rendered.cleanupScript, 'docker rm -v -f 1993-build 1993-init');
+            assert.strictEqual(rendered.parameters.SD_TOKEN, '***');
+            assert.notInclude(result.stdout, 'abcdefg');
+        }));
+
+    it('prints the usage without two files', () =>
+        render([optionsFile]).then((result) => {
+            assert.strictEqual(result.code, 1);
+            assert.strictEqual(result.stdout, '');
+            assert.include(result.stderr, 'Usage: j5s-render');
+        }));
+});